@@ -0,0 +1,108 @@
+// =================================================================
+// --- DATA ACCESS: POSTGRESQL OR EMBEDDED (PGLITE) ---
+// =================================================================
+// Everything in the app reads and writes through the object createDatabase() returns.
+// It has node-postgres's Pool interface - db.query(text, params), and db.connect() for a
+// client with query()/release() to run a transaction on - whichever backend is behind it:
+//
+//   DATABASE_URL=postgres://...   a PostgreSQL server (SSL on unless DATABASE_SSL=false)
+//   DATABASE_URL=pglite://<dir>   an embedded PostgreSQL (PGlite) kept in a local directory
+//   DATABASE_URL unset/memory://  an embedded PostgreSQL in memory, gone when the app stops
+//
+// The embedded backends are real PostgreSQL compiled to WebAssembly, so the same SQL runs
+// everywhere and the app can be run and tested on a laptop with no database server.
+const { Pool, types } = require('pg');
+
+// DATE columns (e.g. orders.token_date) come back as 'YYYY-MM-DD' strings instead of
+// JS Dates at local midnight, which shift with the server timezone. BIGINT (COUNT(*)) and
+// NUMERIC (ROUND(), SUM()) come back as strings, as node-postgres returns them.
+const DATE_OID = 1082;
+const INT8_OID = 20;
+const NUMERIC_OID = 1700;
+types.setTypeParser(DATE_OID, value => value);
+
+function createDatabase(url = process.env.DATABASE_URL) {
+    if (!url || url === 'memory://') {
+        return new EmbeddedPool(null);
+    }
+    if (url.startsWith('pglite://')) {
+        return new EmbeddedPool(url.slice('pglite://'.length));
+    }
+    const pool = new Pool({
+        connectionString: url,
+        // Render (and most hosted PostgreSQL) needs SSL; a local server usually doesn't have it
+        ssl: ['false', '0', 'off'].includes(process.env.DATABASE_SSL) ? false : { rejectUnauthorized: false }
+    });
+    pool.backend = 'postgres';
+    return pool;
+}
+
+// Pool-compatible wrapper around one PGlite database. PGlite has a single connection,
+// so a checked-out client holds it exclusively until release(): other queries wait
+// rather than run inside someone else's transaction. Code holding a client must use
+// that client (not db.query) until it releases it.
+class EmbeddedPool {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.backend = dataDir ? 'pglite' : 'memory';
+        this.opening = null;
+    }
+
+    // Load PGlite on first use (it's only a dev dependency)
+    open() {
+        if (!this.opening) {
+            this.opening = (async () => {
+                let PGlite, Mutex;
+                try {
+                    ({ PGlite, Mutex } = require('@electric-sql/pglite'));
+                } catch (err) {
+                    throw new Error('The embedded database needs the @electric-sql/pglite package (a dev dependency): run "npm install", or set DATABASE_URL to a PostgreSQL server.');
+                }
+                const database = new PGlite({
+                    dataDir: this.dataDir || undefined,
+                    parsers: { [DATE_OID]: value => value, [INT8_OID]: value => value, [NUMERIC_OID]: value => value }
+                });
+                await database.waitReady;
+                return { database, mutex: new Mutex() };
+            })();
+        }
+        return this.opening;
+    }
+
+    async query(text, params) {
+        const { database, mutex } = await this.open();
+        const release = await mutex.acquire();
+        try {
+            return await runQuery(database, text, params);
+        } finally {
+            release();
+        }
+    }
+
+    async connect() {
+        const { database, mutex } = await this.open();
+        const release = await mutex.acquire();
+        return {
+            query: (text, params) => runQuery(database, text, params),
+            release
+        };
+    }
+
+    async end() {
+        if (!this.opening) return;
+        const { database } = await this.open();
+        await database.close();
+    }
+}
+
+// Like node-postgres, a query without parameters may hold several statements
+// (the result is the last one's)
+async function runQuery(database, text, params) {
+    if (params && params.length > 0) {
+        return database.query(text, params);
+    }
+    const results = await database.exec(text);
+    return results[results.length - 1];
+}
+
+module.exports = { createDatabase };
@@ -0,0 +1,167 @@
+// =================================================================
+// --- SCHEMA MIGRATIONS & SEED DATA ---
+// =================================================================
+// Each file in migrations/ is one numbered change to the schema (001_initial_schema.js,
+// 002_..., and so on) exporting async up(client) and down(client). They run in order,
+// each in its own transaction, and the ones that have run are recorded in
+// schema_migrations, so every database ends up with the same schema. The server runs
+// pending migrations when it starts; this file is also a command line tool:
+//
+//   node migrate.js up [version]   run pending migrations (up to and including version)
+//   node migrate.js down [steps]   roll back the last migration (or the last <steps>)
+//   node migrate.js status         list migrations and whether they have run
+//   node migrate.js seed           add the demo data in seeds/ (safe to run again)
+//
+// To change the schema, add the next numbered file - never edit one that has shipped.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+// Advisory lock key so two app instances starting together don't both migrate
+const MIGRATION_LOCK_ID = 4626001;
+
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_\w+\.js$/.test(file))
+        .map(file => ({ version: parseInt(file, 10), name: path.basename(file, '.js'), ...require(path.join(MIGRATIONS_DIR, file)) }))
+        .sort((a, b) => a.version - b.version);
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Two migrations are numbered ${migration.version}: ${migrations[index - 1].name} and ${migration.name}.`);
+        }
+    });
+    return migrations;
+}
+
+// Run fn with a client holding the migration lock, after making sure schema_migrations exists.
+// fn gets the client and a Map of the versions that have run (version -> { name, run_at }).
+async function withMigrationLock(db, fn) {
+    const client = await db.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INT PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                run_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+        const result = await client.query('SELECT version, name, run_at FROM schema_migrations ORDER BY version');
+        return await fn(client, new Map(result.rows.map(row => [row.version, row])));
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+}
+
+// Run one migration step (up or down) in a transaction, recording it
+async function runStep(client, migration, direction) {
+    try {
+        await client.query('BEGIN');
+        await migration[direction](client);
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Migration ${migration.name} (${direction}) failed: ${err.message}`;
+        throw err;
+    }
+}
+
+// Run every pending migration (or those up to and including `to`). Returns the ones that ran.
+async function migrate(db, { to = Infinity } = {}) {
+    const migrations = loadMigrations();
+    return withMigrationLock(db, async (client, applied) => {
+        const missing = Array.from(applied.values()).filter(row => !migrations.some(migration => migration.version === row.version));
+        missing.forEach(row => console.warn(`⚠️ Migration ${row.name} has run on this database but its file is missing.`));
+
+        const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+        for (const migration of pending) {
+            await runStep(client, migration, 'up');
+            console.log(`✅ Migration ${migration.name} applied.`);
+        }
+        if (pending.length === 0) {
+            console.log('✅ Database schema is up to date.');
+        }
+        return pending;
+    });
+}
+
+// Undo the last `steps` migrations that have run, newest first. Returns the ones undone.
+async function rollback(db, { steps = 1 } = {}) {
+    const migrations = loadMigrations();
+    return withMigrationLock(db, async (client, applied) => {
+        const toUndo = Array.from(applied.keys()).sort((a, b) => b - a).slice(0, steps).map(version => {
+            const migration = migrations.find(candidate => candidate.version === version);
+            if (!migration) {
+                throw new Error(`Can't roll back ${applied.get(version).name}: its file is missing.`);
+            }
+            return migration;
+        });
+        for (const migration of toUndo) {
+            await runStep(client, migration, 'down');
+            console.log(`↩️ Migration ${migration.name} rolled back.`);
+        }
+        return toUndo;
+    });
+}
+
+async function migrationStatus(db) {
+    const migrations = loadMigrations();
+    return withMigrationLock(db, async (client, applied) => migrations.map(migration => ({
+        name: migration.name,
+        run_at: applied.has(migration.version) ? applied.get(migration.version).run_at : null
+    })));
+}
+
+// Add the demo data from seeds/ (each file exports async seed(db), in file name order).
+// Seeds only add what isn't there yet, so running them twice changes nothing.
+async function seed(db) {
+    const files = fs.readdirSync(SEEDS_DIR).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+        await require(path.join(SEEDS_DIR, file)).seed(db);
+        console.log(`🌱 Seed ${path.basename(file, '.js')} loaded.`);
+    }
+}
+
+module.exports = { migrate, rollback, migrationStatus, seed };
+
+// --- Command line ---
+if (require.main === module) {
+    const { createDatabase } = require('./db');
+    const [command = 'up', arg] = process.argv.slice(2);
+    const db = createDatabase();
+
+    const commands = {
+        up: () => migrate(db, { to: arg ? parseInt(arg, 10) : Infinity }),
+        down: () => rollback(db, { steps: arg ? parseInt(arg, 10) : 1 }),
+        status: async () => {
+            (await migrationStatus(db)).forEach(migration => {
+                console.log(`${migration.run_at ? `ran ${migration.run_at.toISOString()}` : 'pending'.padEnd(28)}  ${migration.name}`);
+            });
+        },
+        seed: async () => {
+            await migrate(db);
+            await seed(db);
+        }
+    };
+
+    if (!commands[command] || (arg !== undefined && !(parseInt(arg, 10) > 0))) {
+        console.error('Usage: node migrate.js [up [version] | down [steps] | status | seed]');
+        process.exit(1);
+    }
+    if (db.backend === 'memory') {
+        console.warn('⚠️ DATABASE_URL is not set: using a throwaway in-memory database, so nothing will be kept.');
+    }
+    commands[command]()
+        .then(() => db.end())
+        .catch(err => {
+            console.error('🔥', err.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,77 @@
+// Promotions: coupon codes students type in at checkout (a percentage or a flat amount
+// off) and combos applied automatically when the cart holds every item of the bundle.
+// What each order got off is kept in order_adjustments, against one of its lines (combos)
+// or the whole order (coupons), so the discount can be shown and reported on later.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE promotions (
+            id SERIAL PRIMARY KEY,
+            canteen_id INT NOT NULL REFERENCES canteens(id) ON DELETE CASCADE,
+            kind VARCHAR(10) NOT NULL CHECK (kind IN ('coupon', 'combo')),
+            name VARCHAR(100) NOT NULL,
+            -- Coupons: the code (upper case) and what it takes off. max_discount caps percentages.
+            code VARCHAR(30),
+            discount_type VARCHAR(10) CHECK (discount_type IN ('percent', 'flat')),
+            discount_value INT CHECK (discount_value > 0),
+            max_discount INT CHECK (max_discount > 0),
+            min_order_total INT NOT NULL DEFAULT 0,
+            -- Combos: what the bundle in promotion_items costs together
+            combo_price INT CHECK (combo_price >= 0),
+            -- NULL means no limit
+            starts_at TIMESTAMPTZ,
+            ends_at TIMESTAMPTZ,
+            usage_limit INT CHECK (usage_limit > 0),
+            per_user_limit INT CHECK (per_user_limit > 0),
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            CHECK (kind <> 'coupon' OR (code IS NOT NULL AND discount_type IS NOT NULL AND discount_value IS NOT NULL)),
+            CHECK (kind <> 'combo' OR combo_price IS NOT NULL)
+        );
+    `);
+    await client.query('CREATE UNIQUE INDEX promotions_canteen_code_idx ON promotions (canteen_id, code) WHERE code IS NOT NULL');
+
+    // The items (and how many of each) that make up a combo
+    await client.query(`
+        CREATE TABLE promotion_items (
+            promotion_id INT NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+            menu_item_id INT NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+            quantity INT NOT NULL DEFAULT 1 CHECK (quantity > 0),
+            PRIMARY KEY (promotion_id, menu_item_id)
+        );
+    `);
+
+    // Discounts given on an order. line_index is the line in orders.items (from 0) a
+    // combo discount belongs to, or NULL for a coupon on the whole order. The label is
+    // kept so old orders still read right after a promotion is changed or deleted.
+    await client.query(`
+        CREATE TABLE order_adjustments (
+            id SERIAL PRIMARY KEY,
+            order_id INT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            promotion_id INT REFERENCES promotions(id) ON DELETE SET NULL,
+            line_index INT,
+            label VARCHAR(150) NOT NULL,
+            amount INT NOT NULL CHECK (amount > 0)
+        );
+    `);
+    await client.query('CREATE INDEX order_adjustments_order_idx ON order_adjustments (order_id)');
+    await client.query('CREATE INDEX order_adjustments_promotion_idx ON order_adjustments (promotion_id)');
+
+    // total_price stays what the student pays; subtotal_price is before discounts
+    await client.query(`
+        ALTER TABLE orders
+            ADD COLUMN subtotal_price INT,
+            ADD COLUMN discount_total INT NOT NULL DEFAULT 0;
+    `);
+    await client.query('UPDATE orders SET subtotal_price = total_price');
+    await client.query('ALTER TABLE orders ALTER COLUMN subtotal_price SET NOT NULL');
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE orders DROP COLUMN subtotal_price, DROP COLUMN discount_total');
+    await client.query('DROP TABLE order_adjustments');
+    await client.query('DROP TABLE promotion_items');
+    await client.query('DROP TABLE promotions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+// Items that run out of their daily stock are switched off automatically. sold_out_at
+// marks those, so restocking only brings back what sold out - never an item staff
+// switched off themselves (discontinued, machine broken, ...).
+
+async function up(client) {
+    await client.query('ALTER TABLE menu_items ADD COLUMN sold_out_at TIMESTAMPTZ');
+    // Items that are off with no stock left were (almost certainly) switched off by selling out
+    await client.query(`
+        UPDATE menu_items SET sold_out_at = NOW()
+        WHERE is_available = 0 AND daily_stock > 0 AND stock_remaining = 0 AND deleted_at IS NULL
+    `);
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE menu_items DROP COLUMN sold_out_at');
+}
+
+module.exports = { up, down };
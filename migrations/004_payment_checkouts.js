@@ -0,0 +1,36 @@
+// Every checkout started for an order, not just the latest one (orders.payment_ref).
+// A student can start a new checkout while an earlier one is still open at the
+// provider; if the earlier one is paid after all, its webhook still finds the order,
+// and a payment the order can't take (already paid, or cancelled) is refunded.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE payment_checkouts (
+            id SERIAL PRIMARY KEY,
+            order_id INT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            provider VARCHAR(30) NOT NULL,
+            reference VARCHAR(100) NOT NULL,
+            -- pending until the provider's webhook says how it went
+            status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'failed', 'refunded')),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            UNIQUE (provider, reference)
+        );
+    `);
+    await client.query('CREATE INDEX payment_checkouts_order_idx ON payment_checkouts (order_id)');
+
+    // The checkouts orders already know about
+    await client.query(`
+        INSERT INTO payment_checkouts (order_id, provider, reference, status, created_at)
+        SELECT id, payment_provider, payment_ref,
+               CASE WHEN payment_status IN ('paid', 'failed', 'refunded') THEN payment_status ELSE 'pending' END,
+               created_at
+        FROM orders
+        WHERE payment_ref IS NOT NULL AND payment_provider IS NOT NULL
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE payment_checkouts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+// Service worker for order notifications (Web Push).
+// The server sends { title, body, url }; clicking the notification opens the token page.
+
+self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'CallMyTurn', {
+            body: data.body || '',
+            icon: '/logo.png',
+            data: { url: data.url || '/student/my-orders' }
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(self.clients.openWindow(event.notification.data.url));
+});
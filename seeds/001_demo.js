@@ -0,0 +1,71 @@
+// Demo data for trying the app locally: a menu for the first canteen, two pickup slots,
+// and a staff and a student account. Loaded automatically into the in-memory database,
+// or with "node migrate.js seed". Nothing is added to a canteen that already has a menu.
+const bcrypt = require('bcrypt');
+
+const DEMO_ACCOUNTS = [
+    { username: 'staff', password: 'staff123', role: 'staff' },
+    { username: 'student', password: 'student123', role: 'student' }
+];
+
+const DEMO_MENU = {
+    Breakfast: [
+        { name: 'Masala Dosa', price: 50, tags: ['veg'], description: 'Crisp dosa with potato masala, sambar and chutney' },
+        { name: 'Idli Vada', price: 40, tags: ['veg'] },
+        { name: 'Egg Sandwich', price: 45, tags: ['egg', 'gluten'] }
+    ],
+    Meals: [
+        { name: 'Veg Thali', price: 90, tags: ['veg', 'dairy'], description: 'Rice, two sabzis, dal, roti, curd' },
+        { name: 'Chicken Biryani', price: 120, tags: ['non-veg', 'spicy'], daily_stock: 30 },
+        { name: 'Paneer Fried Rice', price: 80, tags: ['veg', 'dairy'] }
+    ],
+    Snacks: [
+        { name: 'Samosa', price: 15, tags: ['veg', 'gluten'] },
+        { name: 'Veg Puff', price: 20, tags: ['veg', 'gluten', 'dairy'] }
+    ],
+    Drinks: [
+        { name: 'Masala Chai', price: 12, tags: ['veg', 'dairy'] },
+        { name: 'Cold Coffee', price: 40, tags: ['veg', 'dairy'] },
+        { name: 'Fresh Lime Soda', price: 25, tags: ['vegan'] }
+    ]
+};
+
+async function seed(db) {
+    const canteenResult = await db.query('SELECT MIN(id) AS id FROM canteens');
+    const canteenId = canteenResult.rows[0].id;
+
+    for (const account of DEMO_ACCOUNTS) {
+        const hashedPassword = await bcrypt.hash(account.password, 10);
+        const result = await db.query(`
+            INSERT INTO users (username, password, role, canteen_id) VALUES ($1, $2, $3, $4)
+            ON CONFLICT (username) DO NOTHING RETURNING id
+        `, [account.username, hashedPassword, account.role, account.role === 'staff' ? canteenId : null]);
+        if (result.rows.length > 0) {
+            console.log(`🌱 Demo ${account.role} login: ${account.username} / ${account.password}`);
+        }
+    }
+
+    const existing = await db.query('SELECT 1 FROM menu_items WHERE canteen_id = $1 LIMIT 1', [canteenId]);
+    if (existing.rows.length > 0) return;
+
+    let sortOrder = 0;
+    for (const [categoryName, items] of Object.entries(DEMO_MENU)) {
+        const categoryResult = await db.query(`
+            INSERT INTO menu_categories (name, sort_order, canteen_id) VALUES ($1, $2, $3)
+            ON CONFLICT (canteen_id, name) DO UPDATE SET name = EXCLUDED.name RETURNING id
+        `, [categoryName, sortOrder++, canteenId]);
+        for (const item of items) {
+            await db.query(`
+                INSERT INTO menu_items (name, price, description, category_id, tags, daily_stock, stock_remaining, canteen_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $6, $7)
+            `, [item.name, item.price, item.description || null, categoryResult.rows[0].id, item.tags, item.daily_stock || null, canteenId]);
+        }
+    }
+
+    await db.query(`
+        INSERT INTO pickup_slots (start_time, end_time, max_orders, canteen_id)
+        VALUES ('12:30', '13:00', 20, $1), ('13:00', '13:30', 20, $1)
+    `, [canteenId]);
+}
+
+module.exports = { seed };
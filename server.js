@@ -2,7 +2,9 @@
 // --- IMPORTS ---
 // =================================================================
 const express = require('express');
-const { Pool } = require('pg'); // <-- Replaced 'mysql' with 'pg'
+const { createDatabase } = require('./db');
+const { migrate, seed } = require('./migrate');
+const { render, html, raw } = require('./views');
 const bcrypt = require('bcrypt');
 const session = require('express-session');
 const path = require('path');
@@ -10,6 +12,9 @@ const http = require('http');
 const { Server } = require("socket.io");
 const fs = require('fs');
 const cron = require('node-cron');
+const crypto = require('crypto');
+const multer = require('multer');
+const webpush = require('web-push');
 
 // =================================================================
 // --- APP & SOCKET.IO SETUP ---
@@ -18,78 +23,62 @@ const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 const PORT = process.env.PORT || 3000;
+const CANTEEN_TIMEZONE = 'Asia/Kolkata';
+const LOW_STOCK_THRESHOLD = 5; // Menu cards show "Only N left" at or below this
+// Tags staff can put on menu items. Dietary tags are filtered "show only",
+// allergen tags "hide items that contain it".
+const MENU_TAGS = {
+    'veg': { label: 'Veg', type: 'diet' },
+    'non-veg': { label: 'Non-Veg', type: 'diet' },
+    'egg': { label: 'Contains Egg', type: 'diet' },
+    'vegan': { label: 'Vegan', type: 'diet' },
+    'spicy': { label: 'Spicy', type: 'diet' },
+    'nuts': { label: 'Nuts', type: 'allergen' },
+    'dairy': { label: 'Dairy', type: 'allergen' },
+    'gluten': { label: 'Gluten', type: 'allergen' }
+};
+const DEFAULT_PREP_MINUTES = 5; // Wait estimate for items with no recent prep history
+const DISPLAY_KEY = process.env.DISPLAY_KEY || null; // If set, /display needs ?key=<DISPLAY_KEY>
+const UPLOADS_DIR = path.join(__dirname, 'uploads'); // Uploaded menu images, served at /uploads
+const KITCHEN_PARALLEL_ORDERS = parseInt(process.env.KITCHEN_PARALLEL_ORDERS, 10) || 2; // Orders the kitchen works on at once
+const KITCHEN_LATE_MINUTES = parseInt(process.env.KITCHEN_LATE_MINUTES, 10) || 10; // Dashboard timers turn red after this long
 
 // =================================================================
 // --- DATABASE CONNECTION (POSTGRESQL) ---
 // =================================================================
-// Render provides a DATABASE_URL environment variable
-// This connects to your new PostgreSQL database
-const db = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: {
-        rejectUnauthorized: false // Required for Render connections
-    }
-});
-
-// Test DB connection
-db.connect((err, client, release) => {
-    if (err) {
-        return console.error('Error acquiring client', err.stack);
-    }
-    console.log('🐘 Successfully connected to PostgreSQL database!');
-    client.release();
-    // After connecting, run the database setup
-    initializeDatabase();
-});
+// Render provides a DATABASE_URL environment variable for its PostgreSQL database.
+// Without one the app runs on an embedded in-memory database (see db.js) - handy
+// locally, but everything is lost on restart, so production must set it.
+if (process.env.NODE_ENV === 'production' && !process.env.DATABASE_URL) {
+    console.error('🔥 DATABASE_URL must be set in production. Refusing to start with an in-memory database.');
+    process.exit(1);
+}
+const db = createDatabase();
 
 // =================================================================
-// --- NEW: AUTOMATIC DATABASE TABLE CREATOR ---
+// --- DATABASE SETUP (MIGRATIONS) ---
 // =================================================================
+// The schema lives in numbered migrations (migrations/, run by migrate.js); any that
+// haven't run on this database yet run now. A schema that can't be brought up to date
+// would break requests in confusing ways, so the app stops instead.
 async function initializeDatabase() {
     console.log('🔧 Initializing database...');
-    const client = await db.connect();
     try {
-        // Create users table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS users (
-                id SERIAL PRIMARY KEY,
-                username VARCHAR(50) UNIQUE NOT NULL,
-                password VARCHAR(255) NOT NULL,
-                role VARCHAR(20) NOT NULL DEFAULT 'student'
-            );
-        `);
-        console.log('✅ "users" table checked/created.');
-
-        // Create menu_items table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS menu_items (
-                id SERIAL PRIMARY KEY,
-                name VARCHAR(100) NOT NULL,
-                price INT NOT NULL,
-                image_url VARCHAR(255),
-                is_available INT DEFAULT 1
-            );
-        `);
-        console.log('✅ "menu_items" table checked/created.');
-
-        // Create orders table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS orders (
-                id SERIAL PRIMARY KEY,
-                user_id INT REFERENCES users(id),
-                total_price INT NOT NULL,
-                status VARCHAR(50) DEFAULT 'Pending',
-                items JSONB,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-        console.log('✅ "orders" table checked/created.');
+        await migrate(db);
+        await createFirstAdmin(db);
+        // A fresh in-memory database would have nothing to show
+        if (db.backend === 'memory') {
+            console.warn('⚠️ DATABASE_URL is not set: using an in-memory database with demo data. Nothing is kept after a restart.');
+            await seed(db);
+        } else if (db.backend === 'pglite') {
+            console.log(`🐘 Using the embedded database in ${db.dataDir}.`);
+        } else {
+            console.log('🐘 Successfully connected to PostgreSQL database!');
+        }
         console.log('🎉 Database initialization complete!');
-        
     } catch (err) {
         console.error('🔥 Error during database initialization:', err);
-    } finally {
-        client.release();
+        process.exit(1);
     }
 }
 
@@ -98,64 +87,447 @@ async function initializeDatabase() {
 // --- APP SETUP (MIDDLEWARE) ---
 // =================================================================
 app.use(express.static(path.join(__dirname, 'public')));
+fs.mkdirSync(path.join(UPLOADS_DIR, 'menu'), { recursive: true });
+app.use('/uploads', express.static(UPLOADS_DIR));
 app.use(express.urlencoded({ extended: true }));
-app.use(express.json()); // Added for cart submission
-app.use(session({
+// Added for cart submission. The raw body is kept for checking webhook signatures.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+// Behind a reverse proxy (e.g. Render) set TRUST_PROXY=1 so req.ip is the visitor's address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+// Anyone who knows the session secret can forge logins, so production must set its own
+if (process.env.NODE_ENV === 'production' && !process.env.SESSION_SECRET) {
+    console.error('🔥 SESSION_SECRET must be set in production. Refusing to start with the built-in fallback.');
+    process.exit(1);
+}
+const sessionMiddleware = session({
     secret: process.env.SESSION_SECRET || 'a-fallback-secret-key-just-in-case',
     resave: false,
     saveUninitialized: true,
     cookie: { secure: 'auto' }
-}));
+});
+app.use(sessionMiddleware);
+
+// Share the express-session with Socket.IO so sockets know who is connected
+io.engine.use(sessionMiddleware);
+
+// --- NEW: CSRF PROTECTION FOR STAFF ---
+// Every page gets the session's token (a <meta name="csrf-token"> in the staff layout,
+// and a hidden "_csrf" field in its forms). Anything a staff account sends that changes
+// data must carry it back, so another site can't post forms as a logged-in staff member.
+// The token may come as a "_csrf" field or an X-CSRF-Token header.
+function csrfToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    return req.session.csrfToken;
+}
+
+// The hidden field that carries it, for forms built in code (views use {{> csrf }})
+function csrfField(req) {
+    return html`<input type="hidden" name="_csrf" value="${csrfToken(req)}">`;
+}
+
+function hasValidCsrfToken(req) {
+    const sent = req.get('X-CSRF-Token') || (req.body && req.body._csrf);
+    const expected = req.session.csrfToken;
+    return typeof sent === 'string' && Boolean(expected) && sent.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+}
+
+function rejectCsrf(req, res) {
+    const message = 'This form has expired. Please reload the page and try again.';
+    if (req.path.startsWith('/api/v1/')) {
+        return res.status(403).json({ error: { code: 'invalid_csrf_token', message } });
+    }
+    if (req.path.startsWith('/api/')) {
+        return res.status(403).json({ error: message });
+    }
+    res.status(403).send(message);
+}
+
+// Logging in replaces the session (and its token), so the login forms are left out.
+// API clients using a bearer token send no cookie and can't be forged this way.
+// Multipart forms (menu images) are checked once multer has read them, in uploadMenuImage.
+const CSRF_EXEMPT_PATHS = ['/login', '/user/login', '/canteen/login'];
+app.use((req, res, next) => {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !req.session.user || !worksAtCanteen(req.session.user.role)) {
+        return next();
+    }
+    if (CSRF_EXEMPT_PATHS.includes(req.path) || /^Bearer /i.test(req.get('Authorization') || '') || req.is('multipart/form-data')) {
+        return next();
+    }
+    if (!hasValidCsrfToken(req)) {
+        return rejectCsrf(req, res);
+    }
+    next();
+});
 
 // =================================================================
 // --- AUTHENTICATION MIDDLEWARE (IMPROVED) ---
 // =================================================================
-const isAuthenticated = (req, res, next) => {
+// Roles and what each may do. Routes ask for a permission, never a role name.
+const ROLE_PERMISSIONS = {
+    student: ['place_orders'],
+    staff: ['manage_orders', 'manage_menu', 'view_reports', 'top_up_wallets'],
+    admin: ['manage_orders', 'manage_menu', 'view_reports', 'top_up_wallets', 'manage_users', 'manage_canteens']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const STAFF_ROLES = ['staff', 'admin']; // Roles that work at a canteen and use the staff login
+const STAFF_INVITE_DAYS = 7; // Invite codes stop working after this many days
+
+function hasPermission(user, permission) {
+    return Boolean(user) && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+function worksAtCanteen(role) {
+    return STAFF_ROLES.includes(role);
+}
+
+// Helper: log a user in with a brand-new session ID, so an ID planted before
+// login (session fixation) is worth nothing afterwards. Resolves once saved.
+function startSession(req, user) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate(err => {
+            if (err) return reject(err);
+            req.session.user = {
+                id: user.id,
+                username: user.username,
+                role: user.role,
+                canteenId: user.canteen_id,
+                sessionVersion: user.session_version
+            };
+            req.session.save(saveErr => (saveErr ? reject(saveErr) : resolve()));
+        });
+    });
+}
+
+// Middleware: only let the request through if the logged-in user has the permission.
+// The account is re-read on every request so a role change, a disabled account or a
+// password change elsewhere takes effect straight away, not at the next login.
+const requirePermission = (permission) => async (req, res, next) => {
+    // Pages any account can use (a null permission) send students to their own login:
+    // by the session's role when there is one, otherwise the student page (it links to staff login)
+    const isStudentPage = permission === 'place_orders' || (permission === null && (!req.session.user || req.session.user.role === 'student'));
+    const loginPage = isStudentPage ? '/student-login.html' : '/staff-login.html';
     if (!req.session.user) {
-        return res.redirect('/student-login.html');
+        return res.redirect(loginPage);
+    }
+    try {
+        const result = await db.query(
+            'SELECT id, username, role, canteen_id, disabled_at, session_version FROM users WHERE id = $1',
+            [req.session.user.id]
+        );
+        const account = result.rows[0];
+        if (!account || account.disabled_at || account.session_version !== (req.session.user.sessionVersion ?? 0)) {
+            return req.session.destroy(() => res.redirect(loginPage));
+        }
+        if (account.role !== req.session.user.role) {
+            // Privileges changed: carry on under a new session ID
+            await startSession(req, account);
+        }
+        req.session.user.canteenId = account.canteen_id;
+        // A null permission only asks for a logged-in account
+        if (permission && !hasPermission(req.session.user, permission)) {
+            // Wrong kind of account altogether: send them to the right login page
+            if (permission === 'place_orders' || req.session.user.role === 'student') {
+                return res.redirect(loginPage);
+            }
+            return res.status(403).send('Only admins can do that.');
+        }
+        next();
+    } catch (err) {
+        console.error('Error checking permissions:', err);
+        res.status(500).send('Error checking permissions.');
     }
-    next();
 };
 
-const isStaff = (req, res, next) => {
-    if (!req.session.user || req.session.user.role !== 'staff') {
-        // If not staff, redirect to student login
-        return res.redirect('/staff-login.html');
+// Helper: on a fresh install with no admin, create one from ADMIN_USERNAME / ADMIN_PASSWORD
+async function createFirstAdmin(client) {
+    const existing = await client.query("SELECT 1 FROM users WHERE role = 'admin' LIMIT 1");
+    if (existing.rows.length > 0) return;
+    if (!process.env.ADMIN_PASSWORD) {
+        console.warn('⚠️ No admin account yet. Set ADMIN_PASSWORD (and optionally ADMIN_USERNAME) and restart to create one.');
+        return;
     }
-    next();
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const hashedPassword = await bcrypt.hash(process.env.ADMIN_PASSWORD, 10);
+    await client.query(
+        "INSERT INTO users (username, password, role, canteen_id) VALUES ($1, $2, 'admin', (SELECT MIN(id) FROM canteens))",
+        [username, hashedPassword]
+    );
+    console.log(`✅ Admin account "${username}" created.`);
+}
+
+// Helper: the canteen a staff member works at. Everything staff see and change
+// (orders, menu, slots, reports) is limited to it.
+function staffCanteenId(req) {
+    return req.session.user.canteenId;
+}
+
+// Socket.IO room for one canteen's staff
+function staffRoom(canteenId) {
+    return `staff_${canteenId}`;
+}
+
+// =================================================================
+// --- ORDER LIFECYCLE (STATE MACHINE) ---
+// =================================================================
+// Pending -> Preparing -> Ready -> Completed, plus Cancelled and Rejected.
+// Anything not listed here is refused by changeOrderStatus().
+const ORDER_TRANSITIONS = {
+    Pending: ['Preparing', 'Cancelled', 'Rejected'],
+    Preparing: ['Ready', 'Rejected'],
+    Ready: ['Completed'],
+    Completed: [],
+    Cancelled: [],
+    Rejected: []
 };
 
-// --- NEW ---
-const isStudent = (req, res, next) => {
-    if (!req.session.user || req.session.user.role !== 'student') {
-        // If not student, redirect to student login
-        return res.redirect('/student-login.html');
+// SQL fragment: the status history of order "o" as a JSON array, oldest first
+const ORDER_HISTORY_SQL = `
+    (SELECT COALESCE(json_agg(json_build_object('status', h.to_status, 'changed_at', h.changed_at) ORDER BY h.changed_at, h.id), '[]')
+     FROM order_status_history h WHERE h.order_id = o.id) AS history
+`;
+
+// SQL fragment: the discounts on order "o" as a JSON array, combo lines first, then coupons.
+// line_index is the line in o.items a discount belongs to (null for the whole order).
+const ORDER_ADJUSTMENTS_SQL = `
+    (SELECT COALESCE(json_agg(json_build_object('line_index', a.line_index, 'label', a.label, 'amount', a.amount) ORDER BY a.line_index NULLS LAST, a.id), '[]')
+     FROM order_adjustments a WHERE a.order_id = o.id) AS adjustments
+`;
+
+// Helper: record a status change in order_status_history
+async function recordStatusChange(client, orderId, fromStatus, toStatus, changedBy, note = null) {
+    await client.query(
+        'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note) VALUES ($1, $2, $3, $4, $5)',
+        [orderId, fromStatus, toStatus, changedBy, note]
+    );
+}
+
+// Helper: move an order to a new status, refusing illegal transitions.
+// Must be called inside a transaction. Returns the updated order with its history.
+// With a canteenId, orders from other canteens are treated as not found.
+async function changeOrderStatus(client, orderId, newStatus, changedBy, note = null, canteenId = null) {
+    if (!Object.prototype.hasOwnProperty.call(ORDER_TRANSITIONS, newStatus)) {
+        throw httpError(400, `Unknown order status "${newStatus}".`);
     }
-    next();
-};
+
+    // Lock the order so two staff clicks can't both move it
+    const current = await client.query(
+        'SELECT * FROM orders WHERE id = $1 AND ($2::int IS NULL OR canteen_id = $2) FOR UPDATE',
+        [orderId, canteenId]
+    );
+    if (current.rows.length === 0) {
+        throw httpError(404, 'Order not found.');
+    }
+
+    const order = current.rows[0];
+    const oldStatus = order.status;
+    if (!ORDER_TRANSITIONS[oldStatus] || !ORDER_TRANSITIONS[oldStatus].includes(newStatus)) {
+        throw httpError(409, `Order #${orderId} cannot move from ${oldStatus} to ${newStatus}.`);
+    }
+
+    // The kitchen only starts on paid orders, unless the student pays at the counter
+    if (newStatus === 'Preparing' && order.payment_status !== 'paid' && !order.pay_at_counter) {
+        throw httpError(409, `Order #${orderId} has not been paid yet.`);
+    }
+
+    // A cancelled or rejected order gives its stock back, keeps the reason and is refunded
+    if (newStatus === 'Cancelled' || newStatus === 'Rejected') {
+        await releaseOrderStock(client, orderId);
+        await client.query('UPDATE orders SET status_reason = $1 WHERE id = $2', [note, orderId]);
+        await refundOrderPayment(client, order);
+    }
+
+    await client.query('UPDATE orders SET status = $1 WHERE id = $2', [newStatus, orderId]);
+    await recordStatusChange(client, orderId, oldStatus, newStatus, changedBy, note);
+
+    const result = await client.query(`SELECT o.*, ${ORDER_HISTORY_SQL} FROM orders o WHERE o.id = $1`, [orderId]);
+    return result.rows[0];
+}
+
+// Helper: put an order's items back into today's stock.
+// Orders from a previous day are skipped - the nightly restock already reset their items.
+async function releaseOrderStock(client, orderId) {
+    const result = await client.query(
+        'SELECT items FROM orders WHERE id = $1 AND token_date = (NOW() AT TIME ZONE $2)::date',
+        [orderId, CANTEEN_TIMEZONE]
+    );
+    if (result.rows.length === 0) return;
+
+    for (const item of result.rows[0].items) {
+        // A sold-out item comes back once it has stock again (items staff switched off stay off)
+        await client.query(`
+            UPDATE menu_items
+            SET is_available = CASE WHEN sold_out_at IS NOT NULL AND LEAST(stock_remaining + $1, daily_stock) > 0 THEN 1 ELSE is_available END,
+                sold_out_at = CASE WHEN LEAST(stock_remaining + $1, daily_stock) > 0 THEN NULL ELSE sold_out_at END,
+                stock_remaining = LEAST(stock_remaining + $1, daily_stock)
+            WHERE id = $2 AND daily_stock IS NOT NULL
+        `, [item.quantity, item.id]);
+    }
+}
+
+// Helper: hand out the next token number for today at a canteen.
+// The upsert takes a row lock on today's counter, so concurrent orders
+// queue up behind each other and never get the same number.
+async function allocateTokenNumber(client, canteenId) {
+    const result = await client.query(`
+        INSERT INTO daily_token_counters (canteen_id, token_date, last_token)
+        VALUES ($2, (NOW() AT TIME ZONE $1)::date, 1)
+        ON CONFLICT (canteen_id, token_date) DO UPDATE SET last_token = daily_token_counters.last_token + 1
+        RETURNING token_date, last_token
+    `, [CANTEEN_TIMEZONE, canteenId]);
+    return { tokenDate: result.rows[0].token_date, tokenNumber: result.rows[0].last_token };
+}
+
+// Helper: format a timestamp as a short local time, e.g. "12:05 pm"
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('en-IN', {
+        timeZone: CANTEEN_TIMEZONE,
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// =================================================================
+// --- NEW: QUEUE POSITION & WAIT ESTIMATES ---
+// =================================================================
+// Helper: average prep time (Preparing -> Ready) per menu item over the last 14 days
+async function getItemPrepMinutes() {
+    const result = await db.query(`
+        SELECT (item->>'id')::int AS item_id,
+               AVG(EXTRACT(EPOCH FROM (ready.changed_at - prep.changed_at)) / 60)::float AS minutes
+        FROM orders o
+        CROSS JOIN jsonb_array_elements(o.items) AS item
+        JOIN order_status_history prep ON prep.order_id = o.id AND prep.to_status = 'Preparing'
+        JOIN order_status_history ready ON ready.order_id = o.id AND ready.to_status = 'Ready'
+        WHERE prep.changed_at > NOW() - INTERVAL '14 days'
+        GROUP BY item_id
+    `);
+    return new Map(result.rows.map(row => [row.item_id, row.minutes]));
+}
+
+// Helper: every open (Pending/Preparing) order at a canteen in queue order, each with its
+// queue_position and estimated_ready_at. The kitchen is assumed to work on
+// KITCHEN_PARALLEL_ORDERS orders at a time, and an order takes as long as
+// its slowest item. Orders for a later pickup slot join the queue when their
+// slot starts (or as soon as the kitchen starts on them).
+async function getQueueSnapshot(canteenId) {
+    const [active, itemPrepMinutes] = await Promise.all([
+        db.query(`
+            SELECT o.*, ${ORDER_HISTORY_SQL},
+                   (SELECT MAX(h.changed_at) FROM order_status_history h WHERE h.order_id = o.id AND h.to_status = 'Preparing') AS preparing_since
+            FROM orders o
+            WHERE o.canteen_id = $1 AND o.status IN ('Pending', 'Preparing') AND o.archived_at IS NULL
+              AND (o.pickup_start IS NULL OR o.pickup_start <= NOW() OR o.status = 'Preparing')
+            ORDER BY COALESCE(o.pickup_start, o.created_at), o.id
+        `, [canteenId]),
+        getItemPrepMinutes()
+    ]);
+
+    const now = Date.now();
+    let minutesOfWorkAhead = 0;
+    return active.rows.map((order, index) => {
+        const prepMinutes = Math.max(...order.items.map(item => itemPrepMinutes.get(item.id) || DEFAULT_PREP_MINUTES));
+
+        // An order already being prepared only has what's left of its prep time
+        let remainingMinutes = prepMinutes;
+        if (order.status === 'Preparing' && order.preparing_since) {
+            const elapsedMinutes = (now - new Date(order.preparing_since).getTime()) / 60000;
+            remainingMinutes = Math.max(prepMinutes - elapsedMinutes, 1);
+        }
+
+        const waitMinutes = minutesOfWorkAhead / KITCHEN_PARALLEL_ORDERS + remainingMinutes;
+        minutesOfWorkAhead += remainingMinutes;
+
+        delete order.preparing_since;
+        order.queue_position = index + 1;
+        order.estimated_ready_at = new Date(now + waitMinutes * 60000).toISOString();
+        return order;
+    });
+}
+
+// Helper: add queue_position/estimated_ready_at to an order (null once it has left the queue)
+async function withQueueInfo(order, queue = null) {
+    const queued = (queue || await getQueueSnapshot(order.canteen_id)).find(entry => entry.id === order.id);
+    return {
+        ...order,
+        queue_position: queued ? queued.queue_position : null,
+        estimated_ready_at: queued ? queued.estimated_ready_at : null
+    };
+}
+
+// Helper: push an order's latest state to its student and token page
+function emitOrderUpdate(order) {
+    io.to(`user_${order.user_id}`).emit('order_status_update', order);
+    io.to(`order_${order.id}`).emit('order_status_update', order);
+}
+
+// Helper: the queue moved - send the order that changed to its student,
+// then tell every other student waiting at that canteen their new position
+async function broadcastQueueUpdate(changedOrder) {
+    const queue = await getQueueSnapshot(changedOrder.canteen_id);
+    emitOrderUpdate(await withQueueInfo(changedOrder, queue));
+    queue.filter(order => order.id !== changedOrder.id).forEach(emitOrderUpdate);
+}
+
+// Helper: everything that has to happen after an order changes status
+function publishStatusChange(order) {
+    // Keeps every staff device's dashboard in step, whoever made the change
+    io.to(staffRoom(order.canteen_id)).emit('order_status_changed', order);
+    emitDisplayUpdate(order);
+    broadcastQueueUpdate(order).catch(err => console.error('Error broadcasting queue update:', err));
+}
 
 // =================================================================
 // --- HTML FILE SERVING ---
 // =================================================================
 const servePage = (filePath) => (req, res) => {
     const fullPath = path.join(__dirname, 'public', filePath);
-    fs.readFile(fullPath, 'utf8', (err, html) => {
+    fs.readFile(fullPath, 'utf8', (err, page) => {
         if (err) {
             console.error(`Error reading file ${filePath}:`, err);
             return res.status(404).send('Page not found');
         }
-        res.send(html);
+        res.send(page);
     });
 };
 
+// Pages in views/ are rendered inside the staff or the student layout (by the account's
+// role unless the page says which). Values are HTML-escaped unless built with html`...`.
+function renderPage(req, res, view, values = {}) {
+    const layout = values.layout || (worksAtCanteen(req.session.user.role) ? 'staff' : 'student');
+    const defaultBodyClass = layout === 'student' ? 'center-layout page-top' : '';
+    res.send(render(view, {
+        bodyClass: defaultBodyClass,
+        headerActions: '',
+        ...values,
+        csrfToken: csrfToken(req)
+    }, { layout }));
+}
+
+const serveView = (view, values) => (req, res) => {
+    try {
+        renderPage(req, res, view, values);
+    } catch (err) {
+        console.error(`Error rendering view ${view}:`, err);
+        res.status(500).send('Error loading page.');
+    }
+};
+
 app.get('/', servePage('student-login.html'));
 app.get('/student-login', servePage('student-login.html'));
 app.get('/staff-login', servePage('staff-login.html'));
 app.get('/register', servePage('register.html'));
 app.get('/logout', (req, res) => {
+    const user = req.session.user;
     req.session.destroy(err => {
         if (err) return res.redirect('/');
         res.clearCookie('connect.sid');
+        // Sockets were authorized with this session, so they go too
+        if (user) io.in(`user_${user.id}`).disconnectSockets(true);
         res.redirect('/student-login');
     });
 });
@@ -164,465 +536,4333 @@ app.get('/logout', (req, res) => {
 // --- AUTHENTICATION ROUTES (POSTGRESQL SYNTAX) ---
 // =================================================================
 
-// User Registration
+// User Registration. Anyone can sign up as a student; a staff account needs
+// a single-use invite code from an admin.
 app.post('/register', async (req, res) => {
-    const { username, password, role = 'student' } = req.body;
+    const { username, password } = req.body;
+    const email = (req.body.email || '').trim() || null;
+    const inviteCode = (req.body.invite_code || '').trim();
+    const passwordProblem = checkNewPassword(password);
+    if (passwordProblem) {
+        return res.status(400).send(passwordProblem);
+    }
+    const client = await db.connect();
     try {
         const hashedPassword = await bcrypt.hash(password, 10);
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            "INSERT INTO users (username, password, role, email) VALUES ($1, $2, 'student', $3) RETURNING *",
+            [username, hashedPassword, email]
+        );
+        let user = result.rows[0];
+
+        if (inviteCode) {
+            // Claiming the code and promoting the account happen together, so a code works once
+            const inviteResult = await client.query(`
+                UPDATE staff_invites SET used_by = $2, used_at = NOW()
+                WHERE code = $1 AND used_at IS NULL AND expires_at > NOW()
+                RETURNING canteen_id
+            `, [inviteCode, user.id]);
+            if (inviteResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).send('That invite code is invalid, expired or already used.');
+            }
+            const staffResult = await client.query(`
+                UPDATE users SET role = 'staff', canteen_id = COALESCE($2, (SELECT MIN(id) FROM canteens))
+                WHERE id = $1 RETURNING *
+            `, [user.id, inviteResult.rows[0].canteen_id]);
+            user = staffResult.rows[0];
+        }
+        await client.query('COMMIT');
+
+        await startSession(req, user);
         
-        // PostgreSQL uses $1, $2, $3 for placeholders
-        const query = 'INSERT INTO users (username, password, role) VALUES ($1, $2, $3) RETURNING id';
-        const values = [username, hashedPassword, role];
-        
-        const result = await db.query(query, values);
-        
-        req.session.user = { id: result.rows[0].id, username, role };
-        
-        if (role === 'staff') {
+        if (worksAtCanteen(user.role)) {
             res.redirect('/staffdashboard');
         } else {
             res.redirect('/studentdashboard');
         }
     } catch (err) {
+        await client.query('ROLLBACK');
         console.error('Registration error:', err);
         res.status(500).send('Error registering user. Username may already be taken.');
+    } finally {
+        client.release();
     }
 });
 
-// User Login
-app.post('/login', async (req, res) => {
-    const { username, password, role } = req.body; // role comes from hidden input
-    try {
-        const query = 'SELECT * FROM users WHERE username = $1 AND role = $2';
-        const result = await db.query(query, [username, role]);
-        
-        if (result.rows.length === 0) {
-            return res.status(400).send('Invalid username or password.');
-        }
+// Helper: check a username/password against accounts with one of the given roles.
+// Repeated failures lock the account, and the visitor's IP, for a while.
+// Resolves to the user row, or throws an httpError saying why not.
+async function checkCredentials(ip, username, password, roles) {
+    if (isIpLockedOut(ip)) {
+        throw httpError(429, 'Too many failed logins from your network. Please try again later.');
+    }
+    const query = 'SELECT * FROM users WHERE username = $1 AND role = ANY($2)';
+    const result = await db.query(query, [username, roles]);
+    const user = result.rows[0];
 
-        const user = result.rows[0];
-        const match = await bcrypt.compare(password, user.password);
+    if (user && user.locked_until && new Date(user.locked_until) > new Date()) {
+        throw httpError(429, `Too many failed logins. This account is locked until ${formatTime(user.locked_until)}.`);
+    }
 
-        if (match) {
-            req.session.user = { id: user.id, username: user.username, role: user.role };
-            if (user.role === 'staff') {
-                res.redirect('/staffdashboard');
-            } else {
-                res.redirect('/studentdashboard');
-            }
+    const match = user && typeof password === 'string' ? await bcrypt.compare(password, user.password) : false;
+    if (!match) {
+        await recordFailedLogin(ip, user);
+        throw httpError(400, 'Invalid username or password.');
+    }
+    if (user.disabled_at) {
+        throw httpError(403, 'This account has been disabled. Please contact the canteen.');
+    }
+    if (user.failed_logins > 0 || user.locked_until) {
+        await db.query('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = $1', [user.id]);
+    }
+    return user;
+}
+
+// Helper: log in from one of the login forms and start the session
+async function logIn(req, res, roles) {
+    const { username, password } = req.body;
+    try {
+        const user = await checkCredentials(req.ip, username, password, roles);
+        await startSession(req, user);
+        if (worksAtCanteen(user.role)) {
+            res.redirect('/staffdashboard');
         } else {
-            res.status(400).send('Invalid username or password.');
+            res.redirect('/studentdashboard');
         }
     } catch (err) {
+        if (err.status) return res.status(err.status).send(err.message);
         console.error('Login error:', err);
         res.status(500).send('An error occurred during login.');
     }
-});
+}
+
+// User Login (role comes from a hidden input)
+app.post('/login', (req, res) => logIn(req, res, req.body.role === 'staff' ? STAFF_ROLES : ['student']));
+
+// Student login (used by student-login.html and user-login.html)
+app.post('/user/login', (req, res) => logIn(req, res, ['student']));
+
+// Canteen staff login (used by staff-login.html and canteen-login.html)
+app.post('/canteen/login', (req, res) => logIn(req, res, STAFF_ROLES));
 
 // =================================================================
 // --- STUDENT ROUTES (POSTGRESQL SYNTAX) ---
 // =================================================================
 
 // Student Dashboard - Load Menu
-// --- UPDATED to use isStudent ---
-app.get('/studentdashboard', isStudent, async (req, res) => {
-    const fullPath = path.join(__dirname, 'public', 'studentdashboard.html');
+// Helper: what a canteen is serving students right now, with each item's average rating
+// and whether it is one of the student's favourites. Favourites come first, then items
+// grouped by category (in the staff's sort order), uncategorised last.
+async function getServedMenu(canteenId, userId = null) {
+    const result = await db.query(`
+        SELECT m.*, c.name AS category_name, r.average_rating, COALESCE(r.rating_count, 0) AS rating_count,
+               (fav.menu_item_id IS NOT NULL) AS is_favourite
+        FROM menu_items m
+        LEFT JOIN menu_categories c ON c.id = m.category_id
+        LEFT JOIN (${ITEM_RATINGS_SQL}) r ON r.menu_item_id = m.id
+        LEFT JOIN favourite_items fav ON fav.menu_item_id = m.id AND fav.user_id = $2
+        WHERE m.canteen_id = $1 AND m.is_available = 1 AND m.deleted_at IS NULL AND ${ITEM_IN_SCHEDULE_SQL}
+        ORDER BY is_favourite DESC, c.sort_order NULLS LAST, c.name NULLS LAST, m.name
+    `, [canteenId, userId]);
+    return result.rows;
+}
+
+app.get('/studentdashboard', requirePermission('place_orders'), async (req, res) => {
     try {
-        const menuResult = await db.query('SELECT * FROM menu_items WHERE is_available = 1 ORDER BY id');
-        let menuHtml = '';
+        // The student picks a canteen first (skipped when there's only one)
+        let canteen = req.session.canteenId ? await getCanteen(req.session.canteenId) : undefined;
+        if (!canteen) {
+            const canteens = await listCanteens();
+            if (canteens.length !== 1) {
+                return res.redirect('/student/canteens');
+            }
+            canteen = canteens[0];
+            req.session.canteenId = canteen.id;
+        }
 
-        if (menuResult.rows.length === 0) {
-            menuHtml = '<p>The canteen is currently not serving any items. Please check back later!</p>';
+        const menuItems = await getServedMenu(canteen.id, req.session.user.id);
+        let menuHtml;
+
+        if (menuItems.length === 0) {
+            menuHtml = html`<p>The canteen is currently not serving any items. Please check back later!</p>`;
         } else {
-            menuResult.rows.forEach(item => {
-                // Notice the onclick event calls changeQuantity() from the script
-                menuHtml += `
-                    <div class="card food-card-grid" data-item-id="${item.id}" data-item-name="${item.name}" data-item-price="${item.price}">
-                        <img src="${item.image_url}" alt="${item.name}">
-                        <div class="food-card-title">${item.name}</div>
-                        <div class="food-card-price">₹${item.price}</div>
-                        <div class="add-btn-container" data-item-id="${item.id}">
-                            <button class="btn-add-to-cart" onclick="changeQuantity(${item.id}, 1)">
-                                <i class="fas fa-shopping-cart"></i> ADD
-                            </button>
-                        </div>
-                    </div>
-                `;
+            const categories = new Map();
+            menuItems.forEach(item => {
+                const categoryName = item.is_favourite ? 'Your Favourites' : (item.category_name || 'Other');
+                if (!categories.has(categoryName)) categories.set(categoryName, []);
+                categories.get(categoryName).push(item);
             });
+
+            menuHtml = Array.from(categories, ([categoryName, items]) => html`
+                <section class="menu-category">
+                    <h3 class="menu-category-title">${categoryName}</h3>
+                    <div class="menu-category-grid">${items.map(buildMenuCard)}</div>
+                </section>
+            `);
         }
+
+        // Options for customisable items, read by the page's script.
+        // "<" is escaped so a name can't close the <script> tag.
+        const modifierGroups = await getModifierGroups(db, menuItems.map(item => item.id));
+        const modifiersJson = JSON.stringify(Object.fromEntries(modifierGroups)).replace(/</g, '\\u003c');
+        const modifiersHtml = html`<script type="application/json" id="menu-modifiers">${raw(modifiersJson)}</script>`;
+
+        // Filter chips for every tag (the page's script does the filtering)
+        const tagFiltersHtml = Object.entries(MENU_TAGS)
+            .map(([tag, { label, type }]) => html`<button type="button" class="menu-filter" data-tag="${tag}" data-mode="${type === 'allergen' ? 'exclude' : 'include'}">${type === 'allergen' ? `No ${label}` : label}</button>`);
         
-        fs.readFile(fullPath, 'utf8', (err, html) => {
-            if (err) throw err;
-            const finalHtml = html.replace('', menuHtml);
-            res.send(finalHtml);
-        });
+        // Which canteen this menu is for, and whether it's taking orders
+        const canteenHtml = html`
+            <p class="canteen-name">Ordering from <strong>${canteen.name}</strong> · <a href="/student/canteens">Change canteen</a></p>
+            ${canteen.is_open ? '' : html`<p class="canteen-closed">This canteen is closed right now - you can browse the menu but not order.</p>`}
+        `;
 
+        // Pickup time choices: now, or one of today's remaining slots (full ones greyed out)
+        const slots = await getTodaySlots(canteen.id);
+        const pickupHtml = slots.length === 0 ? '' : html`
+            <label for="pickup-slot">Pickup time</label>
+            <select name="pickup_slot" id="pickup-slot">
+                <option value="now">As soon as possible</option>
+                ${slots.map(slot => html`<option value="${slot.id}" ${slot.is_full ? 'disabled' : ''}>${formatSlot(slot.start_time, slot.end_time)}${slot.is_full ? ' (full)' : ''}</option>`)}
+            </select>
+        `;
+
+        // Combos running now; they come off by themselves when the order is placed
+        const combos = await getLiveCombos(db, canteen.id);
+        const offersHtml = combos.length === 0 ? '' : html`
+            <div class="menu-offers">
+                <strong><i class="fas fa-tags"></i> Offers</strong>
+                <ul>
+                    ${combos.map(combo => html`<li>${combo.name}: ${combo.items.map(item => `${item.quantity} x ${item.name}`).join(' + ')} for ₹${combo.combo_price}</li>`)}
+                </ul>
+            </div>
+        `;
+
+        const walletResult = await db.query('SELECT wallet_balance FROM users WHERE id = $1', [req.session.user.id]);
+
+        renderPage(req, res, 'studentdashboard', {
+            title: 'Order Food',
+            bodyClass: '',
+            headerActions: html`
+                <a href="/student/my-orders" class="btn" style="width: auto; position: absolute; top: 20px; right: 30px;">
+                    <i class="fas fa-receipt"></i> My Orders
+                </a>
+            `,
+            canteenHeader: canteenHtml,
+            offers: offersHtml,
+            tagFilters: tagFiltersHtml,
+            menu: menuHtml,
+            pickupSlots: pickupHtml,
+            walletBalance: walletResult.rows[0].wallet_balance,
+            // Without a payment provider, paying at the counter is the default
+            onlinePayment: hasOnlinePayments() ? html`<label><input type="radio" name="payment_method" value="online" checked> Pay online now</label>` : '',
+            counterChecked: hasOnlinePayments() ? '' : 'checked',
+            menuModifiers: modifiersHtml
+        });
     } catch (err) {
         console.error('Error loading student dashboard:', err);
         res.status(500).send('Error loading page.');
     }
 });
 
-// Place Order (Transaction)
-// --- UPDATED to use isStudent ---
-app.post('/student/place-order', isStudent, async (req, res) => {
-    const { cartItems } = req.body; // This is a JSON string
-    const userId = req.session.user.id;
-    
-    // This is a PostgreSQL Transaction
-    const client = await db.connect();
-    try {
-        const items = JSON.parse(cartItems);
-        if (items.length === 0) {
-            return res.status(400).send('Cart is empty.');
+// Helper: one item's card on the student menu. Clicking ADD calls addItem() from the page's script.
+function buildMenuCard(item) {
+    const tagsHtml = item.tags
+        .filter(tag => MENU_TAGS[tag])
+        .map(tag => html`<span class="menu-tag menu-tag-${tag}">${MENU_TAGS[tag].label}</span>`);
+    return html`
+        <div class="card food-card-grid" data-item-id="${item.id}" data-item-name="${item.name}" data-item-price="${item.price}" data-item-tags="${item.tags.join(' ')}">
+            <img src="${item.image_url}" alt="${item.name}">
+            <button type="button" class="btn-favourite" data-item-id="${item.id}" aria-pressed="${item.is_favourite}" title="Favourite" onclick="toggleFavourite(this)">
+                <i class="${item.is_favourite ? 'fas' : 'far'} fa-heart"></i>
+            </button>
+            <div class="food-card-title">${item.name}</div>
+            <div class="food-card-tags">${tagsHtml}</div>
+            ${item.description ? html`<p class="food-card-description">${item.description}</p>` : ''}
+            <div class="food-card-price">₹${item.price}</div>
+            ${item.rating_count > 0 ? html`<div class="food-card-rating"><i class="fas fa-star"></i> ${item.average_rating.toFixed(1)} <span>(${item.rating_count})</span></div>` : ''}
+            ${item.daily_stock !== null && item.stock_remaining <= LOW_STOCK_THRESHOLD ? html`<div class="food-card-stock">Only ${item.stock_remaining} left today</div>` : ''}
+            <div class="add-btn-container" data-item-id="${item.id}">
+                <button class="btn-add-to-cart" onclick="addItem(${item.id})">
+                    <i class="fas fa-shopping-cart"></i> ADD
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// Helper: an error that carries the HTTP status to send back to the client
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Helper: turn the client's cart into a list of { id, quantity, options }.
+// The order form sends a JSON string, the JSON API an array.
+// Only the item id, quantity and chosen option ids are trusted - names and prices come from the DB.
+function parseCart(cartItems) {
+    let items = cartItems;
+    if (!Array.isArray(cartItems)) {
+        try {
+            items = JSON.parse(cartItems || '[]');
+        } catch (err) {
+            throw httpError(400, 'Invalid cart data.');
         }
+    }
+    if (!Array.isArray(items)) {
+        throw httpError(400, 'Invalid cart data.');
+    }
 
-        let totalPrice = 0;
-        items.forEach(item => {
-            totalPrice += item.price * item.quantity;
-        });
-        
-        // PostgreSQL uses JSONB for storing JSON
-        const itemsJson = JSON.stringify(items); 
-        
-        await client.query('BEGIN'); // Start transaction
-        
-        // PostgreSQL's RETURNING id (or in this case, *) gets us the new row
-        const query = 'INSERT INTO orders (user_id, total_price, status, items) VALUES ($1, $2, $3, $4) RETURNING *';
-        const values = [userId, totalPrice, 'Pending', itemsJson];
-        
-        const result = await client.query(query, values);
-        const newOrder = result.rows[0];
-        
-        await client.query('COMMIT'); // Commit transaction
-        
-        // Emit to staff
-        io.emit('new_order', newOrder); 
-        
-        // Redirect to token page
-        // THIS IS THE CORRECT REDIRECT
-        res.redirect(`/student/token/${newOrder.id}`);
+    // Merge duplicate lines for the same item with the same options
+    const lines = new Map();
+    items.forEach(item => {
+        const id = Number(item.id);
+        const quantity = Number(item.quantity);
+        const options = Array.from(new Set([].concat(item.options || []).map(Number))).sort((a, b) => a - b);
+        if (!Number.isInteger(id) || !Number.isInteger(quantity) || quantity <= 0 || !options.every(Number.isInteger)) {
+            throw httpError(400, 'Invalid cart data.');
+        }
+        const key = `${id}:${options.join(',')}`;
+        if (lines.has(key)) {
+            lines.get(key).quantity += quantity;
+        } else {
+            lines.set(key, { id, quantity, options });
+        }
+    });
 
-    } catch (err) {
-        await client.query('ROLLBACK'); // Rollback on error
-        console.error('Error placing order:', err);
-        res.status(500).send('Error placing order.');
-    } finally {
-        client.release(); // Release client back to pool
+    if (lines.size === 0) {
+        throw httpError(400, 'Cart is empty.');
     }
-});
+    return Array.from(lines.values());
+}
 
-// Get My Orders Page
-// --- UPDATED to use isStudent ---
-app.get('/student/my-orders', isStudent, (req, res) => {
-    servePage('my-orders.html')(req, res);
-});
+// Helper: the modifier groups (with their options) of some menu items,
+// as a Map of menu item id -> [{ id, name, is_required, is_multi, options: [...] }]
+async function getModifierGroups(client, itemIds) {
+    const result = await client.query(`
+        SELECT g.id, g.menu_item_id, g.name, g.is_required, g.is_multi,
+               COALESCE(json_agg(json_build_object('id', o.id, 'name', o.name, 'price_delta', o.price_delta)
+                        ORDER BY o.sort_order, o.id) FILTER (WHERE o.id IS NOT NULL), '[]') AS options
+        FROM modifier_groups g
+        LEFT JOIN modifier_options o ON o.group_id = g.id
+        WHERE g.menu_item_id = ANY($1)
+        GROUP BY g.id
+        ORDER BY g.sort_order, g.id
+    `, [itemIds]);
 
-// Get Token Page
-// --- UPDATED to use isStudent ---
-app.get('/student/token/:orderId', isStudent, (req, res) => {
-    servePage('token.html')(req, res);
-});
+    const groupsByItem = new Map();
+    result.rows.forEach(group => {
+        if (!groupsByItem.has(group.menu_item_id)) groupsByItem.set(group.menu_item_id, []);
+        groupsByItem.get(group.menu_item_id).push(group);
+    });
+    return groupsByItem;
+}
 
-// API: Get orders for "My Orders" page (for fetch)
-// --- UPDATED to use isStudent ---
-app.get('/api/student/my-orders', isStudent, async (req, res) => {
-    try {
-        const query = 'SELECT * FROM orders WHERE user_id = $1 AND created_at > NOW() - INTERVAL \'24 hours\' ORDER BY created_at DESC';
-        const result = await db.query(query, [req.session.user.id]);
-        res.json(result.rows);
-    } catch (err) {
-        console.error('Error fetching student orders:', err);
-        res.status(500).json({ error: 'Failed to fetch orders' });
-    }
-});
+// Helper: check the options chosen for one cart line against the item's groups.
+// Returns the unit price (item price + option deltas) and the modifiers to store on the order.
+function priceModifiers(item, groups, optionIds) {
+    const chosen = new Set(optionIds);
+    const modifiers = [];
+    let unitPrice = item.price;
 
-// API: Get single order status (for token page)
-// --- UPDATED to use isStudent ---
-app.get('/api/student/order-status/:orderId', isStudent, async (req, res) => {
-    try {
-        const query = 'SELECT id, status, total_price, items FROM orders WHERE id = $1 AND user_id = $2';
-        const result = await db.query(query, [req.params.orderId, req.session.user.id]);
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Order not found' });
+    for (const group of groups) {
+        const picked = group.options.filter(option => chosen.has(option.id));
+        picked.forEach(option => chosen.delete(option.id));
+
+        // A required group staff haven't added options to yet can't be satisfied, so skip it
+        if (group.is_required && picked.length === 0 && group.options.length > 0) {
+            throw httpError(400, `Please choose ${group.name} for ${item.name}.`);
         }
-        res.json(result.rows[0]);
-    } catch (err) {
-        console.error('Error fetching order status:', err);
-        res.status(500).json({ error: 'Failed to fetch order status' });
+        if (!group.is_multi && picked.length > 1) {
+            throw httpError(400, `Please choose only one ${group.name} for ${item.name}.`);
+        }
+        picked.forEach(option => {
+            unitPrice += option.price_delta;
+            modifiers.push({ group: group.name, name: option.name, price_delta: option.price_delta });
+        });
     }
-});
 
-// =================================================================
-// --- STAFF ROUTES (POSTGRESQL SYNTAX) ---
-// =================================================================
+    // Anything left over isn't an option of this item (or was deleted)
+    if (chosen.size > 0) {
+        throw httpError(400, `One of the options you chose for ${item.name} is no longer available.`);
+    }
+    return { unitPrice, modifiers };
+}
+
+// Helper: rebuild the order lines from a canteen's menu_items and reserve stock.
+// Must be called inside a transaction - the menu rows stay locked until COMMIT.
+async function reserveOrderLines(client, cart, canteenId) {
+    const ids = Array.from(new Set(cart.map(line => line.id)));
+    const result = await client.query(
+        `SELECT m.id, m.name, m.price, m.is_available, m.daily_stock, m.stock_remaining, ${ITEM_IN_SCHEDULE_SQL} AS in_schedule
+         FROM menu_items m WHERE m.id = ANY($1) AND m.canteen_id = $2 AND m.deleted_at IS NULL ORDER BY m.id FOR UPDATE OF m`,
+        [ids, canteenId]
+    );
+    const menuItems = new Map(result.rows.map(item => [item.id, item]));
+    const modifierGroups = await getModifierGroups(client, ids);
+
+    // The same item can be on several lines with different options
+    const quantities = new Map();
+    cart.forEach(({ id, quantity }) => quantities.set(id, (quantities.get(id) || 0) + quantity));
+
+    for (const [id, quantity] of quantities) {
+        const item = menuItems.get(id);
+        if (!item) {
+            throw httpError(400, 'One of the items in your cart is no longer on the menu.');
+        }
+        if (item.daily_stock !== null && item.stock_remaining <= 0) {
+            throw httpError(409, `Sorry, ${item.name} is sold out for today.`);
+        }
+        if (item.is_available != 1) {
+            throw httpError(409, `Sorry, ${item.name} is not available right now.`);
+        }
+        if (!item.in_schedule) {
+            throw httpError(409, `Sorry, ${item.name} isn't being served at this time of day.`);
+        }
+        if (item.daily_stock !== null && item.stock_remaining < quantity) {
+            throw httpError(409, `Sorry, only ${item.stock_remaining} ${item.name} left today.`);
+        }
+    }
+
+    const lines = [];
+    let totalPrice = 0;
+    for (const { id, quantity, options } of cart) {
+        const item = menuItems.get(id);
+        const { unitPrice, modifiers } = priceModifiers(item, modifierGroups.get(id) || [], options);
+        // price is the unit price including options; base_price is the item on its own
+        lines.push({ id: item.id, name: item.name, price: unitPrice, base_price: item.price, quantity, modifiers });
+        totalPrice += unitPrice * quantity;
+    }
+
+    // Decrement stock; an item flips to unavailable the moment it sells out,
+    // and sold_out_at records that selling out (not staff) switched it off
+    for (const [id, quantity] of quantities) {
+        await client.query(`
+            UPDATE menu_items
+            SET stock_remaining = stock_remaining - $1,
+                is_available = CASE WHEN stock_remaining - $1 <= 0 THEN 0 ELSE is_available END,
+                sold_out_at = CASE WHEN stock_remaining - $1 <= 0 THEN NOW() ELSE sold_out_at END
+            WHERE id = $2 AND daily_stock IS NOT NULL
+        `, [quantity, id]);
+    }
 
-// Staff Dashboard - Load Orders
-// --- UPDATED to use isStaff ---
-app.get('/staffdashboard', isStaff, async (req, res) => {
-    const fullPath = path.join(__dirname, 'public', 'staffdashboard.html');
+    return { lines, totalPrice };
+}
+
+// Helper: the canteen an order is for, refusing unknown and closed ones
+async function getOpenCanteen(canteenId) {
+    const canteen = canteenId ? await getCanteen(canteenId) : undefined;
+    if (!canteen) {
+        throw httpError(400, 'Please choose a canteen first.');
+    }
+    if (!canteen.is_open) {
+        throw httpError(409, `Sorry, ${canteen.name} is closed right now.`);
+    }
+    return canteen;
+}
+
+// Helper: place an order for a student at a canteen, as one transaction.
+// paymentMethod is 'online' (default, goes through the payment provider), 'counter'
+// (cash at pickup) or 'wallet' (taken from the student's prepaid balance straight away).
+// slotId is a pickup slot id, or null for as soon as possible. couponCode is optional;
+// combos apply by themselves (see applyPromotions()).
+// Anything wrong (closed, sold out, slot full, bad coupon, not enough balance) rolls the whole order back.
+async function placeOrder({ userId, canteenId, cart, paymentMethod, slotId = null, couponCode = null }) {
+    const payAtCounter = paymentMethod === 'counter';
+    const payFromWallet = paymentMethod === 'wallet';
+    if (!payAtCounter && !payFromWallet && !hasOnlinePayments()) {
+        throw httpError(400, 'Online payment is not available. Please pay at the counter or from your wallet.');
+    }
+
+    await getOpenCanteen(canteenId);
+    if (slotId !== null && isNaN(slotId)) {
+        throw httpError(400, 'Invalid pickup slot.');
+    }
+
+    // This is a PostgreSQL Transaction
+    const client = await db.connect();
     try {
-        // Get all non-completed orders from the last 24 hours
+        await client.query('BEGIN'); // Start transaction
+
+        // Prices and names come from menu_items, never from the client
+        const { lines, totalPrice: subtotalPrice } = await reserveOrderLines(client, cart, canteenId);
+        const adjustments = await applyPromotions(client, { lines, subtotalPrice, canteenId, userId, couponCode });
+        const discountTotal = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+        const totalPrice = subtotalPrice - discountTotal;
+        // Nothing left to pay (e.g. a 100% coupon): the order counts as paid already
+        const isPaidNow = payFromWallet || totalPrice === 0;
+
+        // Book the pickup slot (refused if it's full or over)
+        let pickup = { slotId: null, pickupStart: null, pickupEnd: null };
+        if (slotId !== null) {
+            const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+            pickup = await reservePickupSlot(client, slotId, itemCount, canteenId);
+        }
+
+        // PostgreSQL uses JSONB for storing JSON
+        const itemsJson = JSON.stringify(lines);
+
+        // Today's token number (rolled back with everything else on error)
+        const { tokenDate, tokenNumber } = await allocateTokenNumber(client, canteenId);
+
+        // PostgreSQL's RETURNING id (or in this case, *) gets us the new row
         const query = `
-            SELECT o.id, o.status, o.items, o.total_price, u.username 
-            FROM orders o
-            JOIN users u ON o.user_id = u.id
-            WHERE o.status != 'Completed' AND o.created_at > NOW() - INTERVAL '24 hours'
-            ORDER BY o.created_at ASC
+            INSERT INTO orders (user_id, total_price, subtotal_price, discount_total, status, items, token_date, token_number, pay_at_counter, pickup_slot_id, pickup_start, pickup_end, canteen_id, payment_status, payment_provider)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING *
         `;
-        const result = await db.query(query);
-        let ordersHtml = '';
+        const values = [
+            userId, totalPrice, subtotalPrice, discountTotal, 'Pending', itemsJson, tokenDate, tokenNumber, payAtCounter, pickup.slotId, pickup.pickupStart, pickup.pickupEnd, canteenId,
+            isPaidNow ? 'paid' : 'unpaid', payFromWallet ? 'wallet' : null
+        ];
 
-        if (result.rows.length === 0) {
-            ordersHtml = '<h3>No pending orders.</h3>';
-        } else {
-            result.rows.forEach(order => {
-                ordersHtml += buildOrderCard(order); // We will define this function
+        const result = await client.query(query, values);
+        const newOrder = result.rows[0];
+        await recordStatusChange(client, newOrder.id, null, 'Pending', userId);
+        for (const adjustment of adjustments) {
+            await client.query(
+                'INSERT INTO order_adjustments (order_id, promotion_id, line_index, label, amount) VALUES ($1, $2, $3, $4, $5)',
+                [newOrder.id, adjustment.promotionId, adjustment.lineIndex, adjustment.label, adjustment.amount]
+            );
+        }
+        newOrder.adjustments = adjustments.map(({ lineIndex, label, amount }) => ({ line_index: lineIndex, label, amount }));
+
+        // Not enough balance throws, and the whole order is rolled back
+        if (payFromWallet && totalPrice > 0) {
+            await recordWalletTransaction(client, {
+                userId,
+                kind: 'order',
+                amount: -totalPrice,
+                orderId: newOrder.id,
+                note: `Token #${tokenNumber}`
             });
         }
+
+        await client.query('COMMIT'); // Commit transaction
+
+        // Emit to that canteen's staff only (the order includes the student's items)
+        io.to(staffRoom(canteenId)).emit('new_order', newOrder);
+        return newOrder;
+    } catch (err) {
+        await client.query('ROLLBACK'); // Rollback on error
+        throw err;
+    } finally {
+        client.release(); // Release client back to pool
+    }
+}
+
+// Helper: does this order still need paying online before it is collected?
+function needsOnlinePayment(order) {
+    return order.payment_status === 'unpaid' && !order.pay_at_counter;
+}
+
+// Place Order
+app.post('/student/place-order', requirePermission('place_orders'), async (req, res) => {
+    const { cartItems } = req.body; // This is a JSON string
+    // A pickup slot id, or 'now' / nothing for as soon as possible
+    const slotId = req.body.pickup_slot && req.body.pickup_slot !== 'now' ? parseInt(req.body.pickup_slot, 10) : null;
+    try {
+        const newOrder = await placeOrder({
+            userId: req.session.user.id,
+            // Orders go to the canteen the student is browsing
+            canteenId: req.session.canteenId,
+            cart: parseCart(cartItems),
+            paymentMethod: req.body.payment_method,
+            slotId,
+            couponCode: parseCouponCode(req.body.coupon_code)
+        });
+
+        // Online payment: send the student to the provider's checkout first.
+        // If that fails the order still exists and the token page offers "Pay Now".
+        if (needsOnlinePayment(newOrder)) {
+            try {
+                return res.redirect(await startCheckout(newOrder));
+            } catch (err) {
+                console.error('Error starting payment:', err);
+            }
+        }
+
+        // Redirect to token page
+        res.redirect(`/student/token/${newOrder.id}`);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).send(err.message);
+        }
+        console.error('Error placing order:', err);
+        res.status(500).send('Error placing order.');
+    }
+});
+
+// Get My Orders Page
+app.get('/student/my-orders', requirePermission('place_orders'), serveView('my-orders', { title: 'My Orders' }));
+
+// Get Token Page
+app.get('/student/token/:orderId', requirePermission('place_orders'), (req, res) => {
+    servePage('token.html')(req, res);
+});
+
+// API: one page of the student's order history for "My Orders", newest first.
+// Nothing is deleted (the nightly job only archives), so this goes back as far as the student's first order.
+app.get('/api/student/my-orders', requirePermission('place_orders'), async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    try {
+        const query = `
+            SELECT o.*, c.name AS canteen_name, ${ORDER_FEEDBACK_SQL}
+            FROM orders o
+            JOIN canteens c ON c.id = o.canteen_id
+            WHERE o.user_id = $1
+            ORDER BY o.created_at DESC, o.id DESC
+            LIMIT $2 OFFSET $3
+        `;
+        const [result, countResult] = await Promise.all([
+            db.query(query, [req.session.user.id, ORDER_HISTORY_PAGE_SIZE, (page - 1) * ORDER_HISTORY_PAGE_SIZE]),
+            db.query('SELECT COUNT(*)::int AS total FROM orders WHERE user_id = $1', [req.session.user.id])
+        ]);
+        res.json({
+            orders: result.rows,
+            page,
+            total_pages: Math.ceil(countResult.rows[0].total / ORDER_HISTORY_PAGE_SIZE)
+        });
+    } catch (err) {
+        console.error('Error fetching student orders:', err);
+        res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+});
+
+// API: Get single order status (for token page)
+app.get('/api/student/order-status/:orderId', requirePermission('place_orders'), async (req, res) => {
+    try {
+        const query = `
+            SELECT o.id, o.user_id, o.canteen_id, c.name AS canteen_name, o.token_number, o.status, o.status_reason, o.total_price, o.items,
+                   o.subtotal_price, o.discount_total, o.payment_status, o.payment_provider, o.pay_at_counter, o.pickup_start, o.pickup_end,
+                   ${ORDER_HISTORY_SQL}, ${ORDER_ADJUSTMENTS_SQL}
+            FROM orders o
+            JOIN canteens c ON c.id = o.canteen_id
+            WHERE o.id = $1 AND o.user_id = $2
+        `;
+        const result = await db.query(query, [req.params.orderId, req.session.user.id]);
         
-        fs.readFile(fullPath, 'utf8', (err, html) => {
-            if (err) throw err;
-            const finalHtml = html.replace('', ordersHtml);
-            res.send(finalHtml);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        res.json(await withQueueInfo(result.rows[0]));
+    } catch (err) {
+        console.error('Error fetching order status:', err);
+        res.status(500).json({ error: 'Failed to fetch order status' });
+    }
+});
+
+// Helper: a student cancels one of their own orders (only while it is still Pending)
+async function cancelStudentOrder(orderId, userId) {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query('SELECT status FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE', [orderId, userId]);
+        if (result.rows.length === 0) {
+            throw httpError(404, 'Order not found.');
+        }
+        const { status } = result.rows[0];
+        if (status === 'Preparing' || status === 'Ready') {
+            throw httpError(409, 'This order is already being prepared and can no longer be cancelled.');
+        }
+        if (status !== 'Pending') {
+            throw httpError(409, `This order is already ${status.toLowerCase()}.`);
+        }
+
+        const updatedOrder = await changeOrderStatus(client, orderId, 'Cancelled', userId, 'Cancelled by student');
+        await client.query('COMMIT');
+
+        publishStatusChange(updatedOrder);
+        io.to(staffRoom(updatedOrder.canteen_id)).emit('order_cancelled', updatedOrder);
+        return updatedOrder;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Cancel one of your own orders
+app.post('/student/orders/:orderId/cancel', requirePermission('place_orders'), async (req, res) => {
+    try {
+        res.json(await cancelStudentOrder(req.params.orderId, req.session.user.id));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error cancelling order:', err);
+        res.status(500).json({ error: 'Failed to cancel order' });
+    }
+});
+
+// =================================================================
+// --- STAFF ROUTES (POSTGRESQL SYNTAX) ---
+// =================================================================
+
+// Helper: a canteen's open orders that haven't been archived by the nightly job,
+// in the order the kitchen works through them
+async function getOpenOrders(canteenId) {
+    const query = `
+        SELECT o.id, o.token_number, o.status, o.items, o.total_price, o.discount_total, o.payment_status, o.pay_at_counter,
+               o.pickup_start, o.pickup_end, o.created_at, u.username, ${ORDER_HISTORY_SQL}
+        FROM orders o
+        JOIN users u ON o.user_id = u.id
+        WHERE o.canteen_id = $1 AND o.status NOT IN ('Completed', 'Cancelled', 'Rejected') AND o.archived_at IS NULL
+        ORDER BY o.pickup_start ASC NULLS FIRST, o.created_at ASC
+    `;
+    const result = await db.query(query, [canteenId]);
+    return result.rows;
+}
+
+// Helper: group orders by pickup slot: "as soon as possible" first, then each slot in time order
+function groupOrdersBySlot(orders) {
+    const slots = new Map();
+    orders.forEach(order => {
+        const label = order.pickup_start ? `Pickup ${formatSlot(order.pickup_start, order.pickup_end)}` : 'As soon as possible';
+        if (!slots.has(label)) slots.set(label, []);
+        slots.get(label).push(order);
+    });
+    return Array.from(slots, ([label, slotOrders]) => ({
+        label,
+        orders: slotOrders,
+        itemCount: slotOrders.reduce((sum, order) => sum + order.items.reduce((total, item) => total + item.quantity, 0), 0)
+    }));
+}
+
+// Helper: how many of each item the kitchen still has to make across Pending and Preparing
+// orders, e.g. [{ name: 'Samosa', quantity: 14 }]. Lines with options are counted separately.
+function itemsToCook(orders) {
+    const totals = new Map();
+    orders
+        .filter(order => order.status === 'Pending' || order.status === 'Preparing')
+        .forEach(order => order.items.forEach(item => {
+            const options = (item.modifiers || []).map(modifier => modifier.name);
+            const name = options.length > 0 ? `${item.name} (${options.join(', ')})` : item.name;
+            totals.set(name, (totals.get(name) || 0) + item.quantity);
+        }));
+    return Array.from(totals, ([name, quantity]) => ({ name, quantity }))
+        .sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name));
+}
+
+// Staff Dashboard. The orders themselves are loaded (and kept live) by the page from /api/staff/live-orders.
+app.get('/staffdashboard', requirePermission('manage_orders'), async (req, res) => {
+    try {
+        const canteenResult = await db.query('SELECT name FROM canteens WHERE id = $1', [staffCanteenId(req)]);
+        renderPage(req, res, 'staffdashboard', {
+            title: 'Staff Dashboard',
+            bodyClass: 'center-layout page-top',
+            canteenName: canteenResult.rows[0].name
+        });
+    } catch (err) {
+        console.error('Error loading staff dashboard:', err);
+        res.status(500).send('Error loading page.');
+    }
+});
+
+// API: the open orders as ready-made cards, grouped by pickup slot, plus the "items to cook" totals.
+// The dashboard refetches this whenever an order changes and swaps only the cards that differ.
+app.get('/api/staff/live-orders', requirePermission('manage_orders'), async (req, res) => {
+    try {
+        const orders = await getOpenOrders(staffCanteenId(req));
+        res.json({
+            late_minutes: KITCHEN_LATE_MINUTES,
+            groups: groupOrdersBySlot(orders).map(group => ({
+                label: group.label,
+                order_count: group.orders.length,
+                item_count: group.itemCount,
+                orders: group.orders.map(order => ({ id: order.id, html: buildOrderCard(order, csrfField(req)).toString() }))
+            })),
+            items_to_cook: itemsToCook(orders)
+        });
+    } catch (err) {
+        console.error('Error fetching live orders:', err);
+        res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+});
+
+// Helper: a form that posts one order (and any extra fields) to a staff route. csrf is csrfField().
+function orderForm(action, order, csrf, fields, content, attributes = html`style="display: inline;"`) {
+    return html`
+        <form action="${action}" method="POST" ${attributes}>
+            ${csrf}
+            <input type="hidden" name="orderId" value="${order.id}">
+            ${Object.entries(fields).map(([name, value]) => html`<input type="hidden" name="${name}" value="${value}">`)}
+            ${content}
+        </form>
+    `;
+}
+
+// Helper function to build order card HTML
+function buildOrderCard(order, csrf) {
+    const itemsHtml = html`<ul>${order.items.map(item => {
+        // Chosen options go under their line, e.g. "Extra cheese (+₹15)"
+        const modifiersHtml = (item.modifiers || []).length === 0 ? '' : html`
+            <ul class="order-modifiers">
+                ${item.modifiers.map(modifier => html`<li>${modifier.name}${modifier.price_delta ? ` (${modifier.price_delta > 0 ? '+' : '-'}₹${Math.abs(modifier.price_delta)})` : ''}</li>`)}
+            </ul>
+        `;
+        return html`<li>${item.quantity} x ${item.name}${modifiersHtml}</li>`;
+    })}</ul>`;
+
+    // e.g. "Pending 12:01 pm · Preparing 12:03 pm"
+    const timelineHtml = (order.history || [])
+        .map((step, index) => html`${index > 0 ? ' · ' : ''}<span>${step.status} ${formatTime(step.changed_at)}</span>`);
+
+    const isPending = order.status === 'Pending';
+    const isPreparing = order.status === 'Preparing';
+    const isReady = order.status === 'Ready';
+    const canReject = isPending || isPreparing;
+
+    // Prep can only start once the order is paid, or if it's paid at the counter
+    const isPaid = order.payment_status === 'paid';
+    const canStartPrep = isPending && (isPaid || order.pay_at_counter);
+    let paymentHtml;
+    if (isPaid) {
+        paymentHtml = html`<span class="payment-badge payment-paid">Paid</span>`;
+    } else if (order.pay_at_counter) {
+        paymentHtml = html`
+            <span class="payment-badge payment-counter">Pay at counter</span>
+            ${orderForm('/staff/orders/mark-paid', order, csrf, {}, html`<button type="submit" class="btn btn-secondary btn-mark-paid">Mark Paid</button>`)}
+        `;
+    } else {
+        paymentHtml = html`<span class="payment-badge payment-waiting">Awaiting payment (${order.payment_status})</span>`;
+    }
+
+    return html`
+        <div class="card order-card card-status-${order.status.toLowerCase()}" data-order-id="${order.id}" data-created-at="${new Date(order.created_at).toISOString()}">
+            <div class="order-card-header">
+                <h4>Token #${order.token_number}</h4>
+                <span class="order-age" title="Time since the order was placed"></span>
+                ${order.pickup_start ? html`<span class="pickup-badge"><i class="fas fa-clock"></i> ${formatSlot(order.pickup_start, order.pickup_end)}</span>` : ''}
+                <span>User: ${order.username}</span>
+            </div>
+            <div class="order-card-payment">${paymentHtml}</div>
+            <div class="order-card-body">
+                ${itemsHtml}
+                <div class="order-card-timeline">${timelineHtml}</div>
+            </div>
+            <div class="order-card-footer">
+                <strong>Total: ₹${order.total_price}${order.discount_total > 0 ? html` <span class="order-discount">(₹${order.discount_total} off)</span>` : ''}</strong>
+                <div class="order-card-actions">
+                    ${orderForm('/staff/update-status', order, csrf, { newStatus: 'Preparing' }, html`
+                        <button type="submit" class="btn btn-status-prep" ${!canStartPrep ? 'disabled' : ''}>
+                            <i class="fas fa-hourglass-start"></i> Start Prep
+                        </button>
+                    `)}
+                    ${orderForm('/staff/update-status', order, csrf, { newStatus: 'Ready' }, html`
+                        <button type="submit" class="btn btn-status-ready" ${!isPreparing ? 'disabled' : ''}>
+                            <i class="fas fa-bell"></i> Mark Ready
+                        </button>
+                    `)}
+                    ${orderForm('/staff/update-status', order, csrf, { newStatus: 'Completed' }, html`
+                        <button type="submit" class="btn btn-status-done" ${!isReady ? 'disabled' : ''}>
+                            <i class="fas fa-check-circle"></i> Mark Completed
+                        </button>
+                    `)}
+                    ${canReject ? orderForm('/staff/reject-order', order, csrf, {}, html`
+                        <input type="text" name="reason" placeholder="Reason (e.g. Samosa ran out)" required>
+                        <button type="submit" class="btn btn-danger">
+                            <i class="fas fa-times-circle"></i> Reject
+                        </button>
+                    `, html`class="reject-form"`) : ''}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Helper: staff move one of their canteen's orders on, then tell the student,
+// the queue and the "Now Serving" board. Illegal transitions (e.g. Pending -> Completed) throw.
+async function staffChangeOrderStatus({ orderId, newStatus, staffId, canteenId, note = null, baseUrl }) {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const updatedOrder = await changeOrderStatus(client, orderId, newStatus, staffId, note, canteenId);
+        await client.query('COMMIT');
+
+        publishStatusChange(updatedOrder);
+        queueStatusNotifications(updatedOrder, baseUrl).catch(err => console.error('Error sending notifications:', err));
+        return updatedOrder;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Staff: Update Order Status
+app.post('/staff/update-status', requirePermission('manage_orders'), async (req, res) => {
+    const { orderId, newStatus } = req.body;
+    try {
+        await staffChangeOrderStatus({
+            orderId,
+            newStatus,
+            staffId: req.session.user.id,
+            canteenId: staffCanteenId(req),
+            baseUrl: publicUrl(req)
+        });
+        res.redirect('/staffdashboard');
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).send(err.message);
+        }
+        console.error('Error updating status:', err);
+        res.status(500).send('Error updating status.');
+    }
+});
+
+
+// Staff: Reject an order, telling the student why
+app.post('/staff/reject-order', requirePermission('manage_orders'), async (req, res) => {
+    const { orderId } = req.body;
+    const reason = (req.body.reason || '').trim();
+    if (!reason) {
+        return res.status(400).send('Please give a reason for rejecting the order.');
+    }
+
+    try {
+        await staffChangeOrderStatus({
+            orderId,
+            newStatus: 'Rejected',
+            staffId: req.session.user.id,
+            canteenId: staffCanteenId(req),
+            note: reason,
+            baseUrl: publicUrl(req)
+        });
+        res.redirect('/staffdashboard');
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).send(err.message);
+        }
+        console.error('Error rejecting order:', err);
+        res.status(500).send('Error rejecting order.');
+    }
+});
+
+
+// --- Menu Management Routes ---
+app.get('/staff/manage-menu', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        const [result, categoryResult] = await Promise.all([
+            db.query(`
+                SELECT m.*, c.name AS category_name, ${ITEM_IN_SCHEDULE_SQL} AS in_schedule
+                FROM menu_items m
+                LEFT JOIN menu_categories c ON c.id = m.category_id
+                WHERE m.canteen_id = $1 AND m.deleted_at IS NULL
+                ORDER BY m.id
+            `, [staffCanteenId(req)]),
+            db.query('SELECT * FROM menu_categories WHERE canteen_id = $1 ORDER BY sort_order, name', [staffCanteenId(req)])
+        ]);
+        const csrf = csrfField(req);
+
+        const itemRows = result.rows.map(item => html`
+            <tr>
+                <td>${item.id}</td>
+                <td><img src="${item.image_url}" alt="${item.name}" class="menu-item-thumbnail"></td>
+                <td>
+                    ${item.name}
+                    <div class="subtle-text" style="margin: 0;">${item.tags.map(tag => MENU_TAGS[tag] ? MENU_TAGS[tag].label : tag).join(', ')}</div>
+                </td>
+                <td>${item.category_name || '-'}</td>
+                <td>₹${item.price}</td>
+                <td>
+                    ${item.is_available == 1 ? 'Yes' : 'No'}
+                    ${item.in_schedule ? '' : html`<div class="subtle-text" style="margin: 0;">Outside its schedule now</div>`}
+                </td>
+                <td>
+                    ${item.daily_stock === null ? 'Unlimited' : `${item.stock_remaining} / ${item.daily_stock}`}
+                    <form action="/staff/menu/stock" method="POST" style="margin-top: 5px;">
+                        ${csrf}
+                        <input type="hidden" name="id" value="${item.id}">
+                        <input type="number" name="daily_stock" min="0" value="${item.daily_stock === null ? '' : item.daily_stock}" placeholder="Unlimited" style="width: 90px;">
+                        <button type="submit" class="btn btn-secondary">Set</button>
+                    </form>
+                </td>
+                <td>
+                    <form action="/staff/menu/toggle" method="POST" style="display:inline;">
+                        ${csrf}
+                        <input type="hidden" name="id" value="${item.id}">
+                        <input type="hidden" name="current_status" value="${item.is_available}">
+                        <button type="submit" class="btn btn-secondary">
+                            ${item.is_available == 1 ? 'Make Unavailable' : 'Make Available'}
+                        </button>
+                    </form>
+                    <a href="/staff/menu/edit/${item.id}" class="btn btn-secondary">Edit</a>
+                    <a href="/staff/menu/${item.id}/modifiers" class="btn btn-secondary">Options</a>
+                    <form action="/staff/menu/delete" method="POST" style="display:inline;" onsubmit="return confirm('Delete this item from the menu?');">
+                        ${csrf}
+                        <input type="hidden" name="id" value="${item.id}">
+                        <button type="submit" class="btn btn-danger">Delete</button>
+                    </form>
+                </td>
+            </tr>
+        `);
+
+        const categoryRows = categoryResult.rows.map(category => html`
+            <tr>
+                <td>
+                    <form action="/staff/categories/update" method="POST" class="inline-form">
+                        ${csrf}
+                        <input type="hidden" name="id" value="${category.id}">
+                        <input type="text" name="name" value="${category.name}" required>
+                        <input type="number" name="sort_order" value="${category.sort_order}" style="width: 70px;">
+                        <button type="submit" class="btn btn-secondary">Save</button>
+                    </form>
+                </td>
+                <td>
+                    <form action="/staff/categories/delete" method="POST" style="display:inline;" onsubmit="return confirm('Delete this category? Its items become uncategorised.');">
+                        ${csrf}
+                        <input type="hidden" name="id" value="${category.id}">
+                        <button type="submit" class="btn btn-danger">Delete</button>
+                    </form>
+                </td>
+            </tr>
+        `);
+
+        renderPage(req, res, 'manage-menu', {
+            title: 'Manage Menu - Canteen',
+            itemRows,
+            categoryRows,
+            categoryOptions: categoryResult.rows.map(category => html`<option value="${category.id}">${category.name}</option>`),
+            tagCheckboxes: Object.entries(MENU_TAGS)
+                .map(([tag, { label }]) => html`<label class="tag-checkbox"><input type="checkbox" name="tags" value="${tag}"> ${label}</label>`)
         });
+    } catch (err) {
+        console.error('Error loading menu management:', err);
+        res.status(500).send('Error loading page.');
+    }
+});
+
+// Uploaded menu images go to uploads/menu with a random name
+const menuImageUpload = multer({
+    storage: multer.diskStorage({
+        destination: path.join(UPLOADS_DIR, 'menu'),
+        filename: (req, file, cb) => cb(null, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${path.extname(file.originalname).toLowerCase()}`)
+    }),
+    limits: { fileSize: 2 * 1024 * 1024 }, // 2 MB
+    fileFilter: (req, file, cb) => cb(null, /^image\/(png|jpeg|gif|webp)$/.test(file.mimetype))
+});
+
+// Middleware: accept an optional "image" file, with a readable error instead of a stack trace.
+// The CSRF token is in the multipart body, so it's checked here once multer has read it.
+const uploadMenuImage = (req, res, next) => {
+    menuImageUpload.single('image')(req, res, (err) => {
+        if (err) {
+            return res.status(400).send(err.code === 'LIMIT_FILE_SIZE' ? 'Image must be smaller than 2 MB.' : 'Error uploading image.');
+        }
+        if (!hasValidCsrfToken(req)) {
+            if (req.file) removeUploadedImage(`/uploads/menu/${req.file.filename}`);
+            return rejectCsrf(req, res);
+        }
+        next();
+    });
+};
+
+// Helper: delete an image we uploaded earlier (external image URLs are left alone)
+function removeUploadedImage(imageUrl) {
+    if (!imageUrl || !imageUrl.startsWith('/uploads/menu/')) return;
+    fs.unlink(path.join(UPLOADS_DIR, 'menu', path.basename(imageUrl)), (err) => {
+        if (err && err.code !== 'ENOENT') console.error('Error removing old menu image:', err);
+    });
+}
+
+// Helper: read and check the add/edit menu item form
+function readMenuItemForm(req) {
+    const name = (req.body.name || '').trim();
+    const price = parseInt(req.body.price, 10);
+    if (!name) {
+        throw httpError(400, 'Item name is required.');
+    }
+    if (isNaN(price) || price < 0) {
+        throw httpError(400, 'Price must be a positive number.');
+    }
+
+    // Checkboxes arrive as a string for one tick and an array for several
+    const tags = [].concat(req.body.tags || []).filter(tag => MENU_TAGS[tag]);
+
+    // An uploaded file wins over a pasted image URL
+    let imageUrl = (req.body.image_url || '').trim() || null;
+    if (req.file) {
+        imageUrl = `/uploads/menu/${req.file.filename}`;
+    }
+
+    return {
+        name,
+        price,
+        description: (req.body.description || '').trim() || null,
+        categoryId: req.body.category_id ? parseInt(req.body.category_id, 10) : null,
+        tags,
+        imageUrl
+    };
+}
+
+// Helper: read a daily stock form field. Blank means unlimited (null).
+function readDailyStock(value) {
+    if (value === undefined || value === '') return null;
+    const dailyStock = parseInt(value, 10);
+    if (isNaN(dailyStock) || dailyStock < 0) {
+        throw httpError(400, 'Stock must be a positive number.');
+    }
+    return dailyStock;
+}
+
+app.post('/staff/menu/add', requirePermission('manage_menu'), uploadMenuImage, async (req, res) => {
+    try {
+        const item = readMenuItemForm(req);
+        const dailyStock = readDailyStock(req.body.daily_stock);
+        const query = `
+            INSERT INTO menu_items (name, price, image_url, is_available, daily_stock, stock_remaining, description, category_id, tags, canteen_id)
+            VALUES ($1, $2, $3, 1, $4, $4, $5, (SELECT id FROM menu_categories WHERE id = $6 AND canteen_id = $8), $7, $8)
+        `;
+        await db.query(query, [item.name, item.price, item.imageUrl, dailyStock, item.description, item.categoryId, item.tags, staffCanteenId(req)]);
+        res.redirect('/staff/manage-menu');
+    } catch (err) {
+        if (req.file) removeUploadedImage(`/uploads/menu/${req.file.filename}`);
+        if (err.status) {
+            return res.status(err.status).send(err.message);
+        }
+        console.error('Error adding menu item:', err);
+        res.status(500).send('Error adding item.');
+    }
+});
+
+// Edit Menu Item page (the form loads the item from the API below)
+app.get('/staff/menu/edit/:id', requirePermission('manage_menu'), serveView('edit-menu-item', { title: 'Edit Menu Item - Canteen' }));
+
+// API: One menu item plus the categories and tags to choose from (for the edit page)
+app.get('/api/staff/menu/:id', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        const [itemResult, categoryResult] = await Promise.all([
+            db.query('SELECT * FROM menu_items WHERE id = $1 AND canteen_id = $2 AND deleted_at IS NULL', [req.params.id, staffCanteenId(req)]),
+            db.query('SELECT * FROM menu_categories WHERE canteen_id = $1 ORDER BY sort_order, name', [staffCanteenId(req)])
+        ]);
+        if (itemResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Menu item not found' });
+        }
+        res.json({ item: itemResult.rows[0], categories: categoryResult.rows, tags: MENU_TAGS });
+    } catch (err) {
+        console.error('Error fetching menu item:', err);
+        res.status(500).json({ error: 'Failed to fetch menu item' });
+    }
+});
+
+app.post('/staff/menu/edit/:id', requirePermission('manage_menu'), uploadMenuImage, async (req, res) => {
+    try {
+        const item = readMenuItemForm(req);
+        const current = await db.query('SELECT image_url FROM menu_items WHERE id = $1 AND canteen_id = $2 AND deleted_at IS NULL', [req.params.id, staffCanteenId(req)]);
+        if (current.rows.length === 0) {
+            throw httpError(404, 'Menu item not found.');
+        }
+
+        // No new image given: keep the current one
+        const oldImageUrl = current.rows[0].image_url;
+        const imageUrl = item.imageUrl || oldImageUrl;
+
+        const query = `
+            UPDATE menu_items
+            SET name = $1, price = $2, description = $3, tags = $5, image_url = $6,
+                category_id = (SELECT id FROM menu_categories WHERE id = $4 AND canteen_id = menu_items.canteen_id)
+            WHERE id = $7
+        `;
+        await db.query(query, [item.name, item.price, item.description, item.categoryId, item.tags, imageUrl, req.params.id]);
+
+        if (imageUrl !== oldImageUrl) removeUploadedImage(oldImageUrl);
+        res.redirect('/staff/manage-menu');
+    } catch (err) {
+        if (req.file) removeUploadedImage(`/uploads/menu/${req.file.filename}`);
+        if (err.status) {
+            return res.status(err.status).send(err.message);
+        }
+        console.error('Error editing menu item:', err);
+        res.status(500).send('Error editing item.');
+    }
+});
+
+// Soft delete: the item leaves the menu but old orders keep their reference
+app.post('/staff/menu/delete', requirePermission('manage_menu'), async (req, res) => {
+    const { id } = req.body;
+    try {
+        await db.query('UPDATE menu_items SET deleted_at = NOW(), is_available = 0, sold_out_at = NULL WHERE id = $1 AND canteen_id = $2', [id, staffCanteenId(req)]);
+        res.redirect('/staff/manage-menu');
+    } catch (err) {
+        console.error('Error deleting menu item:', err);
+        res.status(500).send('Error deleting item.');
+    }
+});
+
+// --- Item Customisations (modifier groups & options) ---
+app.get('/staff/menu/:id/modifiers', requirePermission('manage_menu'), serveView('manage-modifiers', { title: 'Item Options - Canteen' }));
+
+// API: An item's modifier groups and options (for the customisations page)
+app.get('/api/staff/menu/:id/modifiers', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        const itemResult = await db.query(
+            'SELECT id, name, price FROM menu_items WHERE id = $1 AND canteen_id = $2 AND deleted_at IS NULL',
+            [req.params.id, staffCanteenId(req)]
+        );
+        if (itemResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Menu item not found' });
+        }
+        const item = itemResult.rows[0];
+        const groups = await getModifierGroups(db, [item.id]);
+        res.json({ item, groups: groups.get(item.id) || [] });
+    } catch (err) {
+        console.error('Error fetching modifiers:', err);
+        res.status(500).json({ error: 'Failed to fetch modifiers' });
+    }
+});
+
+app.post('/staff/menu/:id/modifiers/group/add', requirePermission('manage_menu'), async (req, res) => {
+    const name = (req.body.name || '').trim();
+    if (!name) {
+        return res.status(400).send('Group name is required.');
+    }
+    try {
+        // Only for items at this staff member's canteen
+        const query = `
+            INSERT INTO modifier_groups (menu_item_id, name, is_required, is_multi, sort_order)
+            SELECT id, $2, $3, $4, $5 FROM menu_items WHERE id = $1 AND canteen_id = $6
+        `;
+        await db.query(query, [req.params.id, name, req.body.is_required === 'on', req.body.is_multi === 'on', parseInt(req.body.sort_order, 10) || 0, staffCanteenId(req)]);
+        res.redirect(`/staff/menu/${req.params.id}/modifiers`);
+    } catch (err) {
+        console.error('Error adding modifier group:', err);
+        res.status(500).send('Error adding group.');
+    }
+});
+
+// Deleting a group deletes its options too (ON DELETE CASCADE)
+app.post('/staff/menu/:id/modifiers/group/delete', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        const query = `
+            DELETE FROM modifier_groups g
+            USING menu_items m
+            WHERE m.id = g.menu_item_id AND g.id = $1 AND g.menu_item_id = $2 AND m.canteen_id = $3
+        `;
+        await db.query(query, [req.body.group_id, req.params.id, staffCanteenId(req)]);
+        res.redirect(`/staff/menu/${req.params.id}/modifiers`);
+    } catch (err) {
+        console.error('Error deleting modifier group:', err);
+        res.status(500).send('Error deleting group.');
+    }
+});
+
+app.post('/staff/menu/:id/modifiers/option/add', requirePermission('manage_menu'), async (req, res) => {
+    const name = (req.body.name || '').trim();
+    const priceDelta = parseInt(req.body.price_delta, 10) || 0;
+    if (!name) {
+        return res.status(400).send('Option name is required.');
+    }
+    try {
+        // Only add to a group that belongs to this item (at this staff member's canteen)
+        const query = `
+            INSERT INTO modifier_options (group_id, name, price_delta, sort_order)
+            SELECT g.id, $2, $3, $4
+            FROM modifier_groups g
+            JOIN menu_items m ON m.id = g.menu_item_id
+            WHERE g.id = $1 AND g.menu_item_id = $5 AND m.canteen_id = $6
+        `;
+        await db.query(query, [req.body.group_id, name, priceDelta, parseInt(req.body.sort_order, 10) || 0, req.params.id, staffCanteenId(req)]);
+        res.redirect(`/staff/menu/${req.params.id}/modifiers`);
+    } catch (err) {
+        console.error('Error adding modifier option:', err);
+        res.status(500).send('Error adding option.');
+    }
+});
+
+app.post('/staff/menu/:id/modifiers/option/delete', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        const query = `
+            DELETE FROM modifier_options o
+            USING modifier_groups g, menu_items m
+            WHERE o.group_id = g.id AND m.id = g.menu_item_id AND o.id = $1 AND g.menu_item_id = $2 AND m.canteen_id = $3
+        `;
+        await db.query(query, [req.body.option_id, req.params.id, staffCanteenId(req)]);
+        res.redirect(`/staff/menu/${req.params.id}/modifiers`);
+    } catch (err) {
+        console.error('Error deleting modifier option:', err);
+        res.status(500).send('Error deleting option.');
+    }
+});
+
+// --- Menu Categories ---
+app.post('/staff/categories/add', requirePermission('manage_menu'), async (req, res) => {
+    const name = (req.body.name || '').trim();
+    const sortOrder = parseInt(req.body.sort_order, 10) || 0;
+    if (!name) {
+        return res.status(400).send('Category name is required.');
+    }
+    try {
+        await db.query('INSERT INTO menu_categories (name, sort_order, canteen_id) VALUES ($1, $2, $3)', [name, sortOrder, staffCanteenId(req)]);
+        res.redirect('/staff/manage-menu');
+    } catch (err) {
+        console.error('Error adding category:', err);
+        res.status(500).send('Error adding category. The name may already be taken.');
+    }
+});
+
+app.post('/staff/categories/update', requirePermission('manage_menu'), async (req, res) => {
+    const { id } = req.body;
+    const name = (req.body.name || '').trim();
+    const sortOrder = parseInt(req.body.sort_order, 10) || 0;
+    if (!name) {
+        return res.status(400).send('Category name is required.');
+    }
+    try {
+        await db.query('UPDATE menu_categories SET name = $1, sort_order = $2 WHERE id = $3 AND canteen_id = $4', [name, sortOrder, id, staffCanteenId(req)]);
+        res.redirect('/staff/manage-menu');
+    } catch (err) {
+        console.error('Error updating category:', err);
+        res.status(500).send('Error updating category. The name may already be taken.');
+    }
+});
+
+// Items in a deleted category become uncategorised (ON DELETE SET NULL)
+app.post('/staff/categories/delete', requirePermission('manage_menu'), async (req, res) => {
+    const { id } = req.body;
+    try {
+        await db.query('DELETE FROM menu_categories WHERE id = $1 AND canteen_id = $2', [id, staffCanteenId(req)]);
+        res.redirect('/staff/manage-menu');
+    } catch (err) {
+        console.error('Error deleting category:', err);
+        res.status(500).send('Error deleting category.');
+    }
+});
+
+app.post('/staff/menu/toggle', requirePermission('manage_menu'), async (req, res) => {
+    const { id, current_status } = req.body;
+    // New status is the opposite of the current status
+    const newStatus = (current_status == 1) ? 0 : 1; 
+    try {
+        // Staff's choice wins: a restock won't switch the item back on by itself
+        const query = 'UPDATE menu_items SET is_available = $1, sold_out_at = NULL WHERE id = $2 AND canteen_id = $3';
+        await db.query(query, [newStatus, id, staffCanteenId(req)]);
+        res.redirect('/staff/manage-menu');
+    } catch (err) {
+        console.error('Error toggling menu item:', err);
+        res.status(500).send('Error toggling item.');
+    }
+});
+
+// Helper: set an item's daily stock (null = unlimited). This also restocks it for today.
+// Resolves to false if the item isn't on that canteen's menu.
+async function setMenuItemStock(itemId, canteenId, dailyStock) {
+    // A stock of 0 sells the item out straight away (as running out does); an item that
+    // had sold out comes back once it is restocked. Items staff switched off stay off.
+    const query = `
+        UPDATE menu_items
+        SET is_available = CASE WHEN $1 = 0 THEN 0 WHEN sold_out_at IS NOT NULL THEN 1 ELSE is_available END,
+            sold_out_at = CASE WHEN $1 = 0 AND is_available = 1 THEN NOW() WHEN $1 = 0 THEN sold_out_at ELSE NULL END,
+            daily_stock = $1,
+            stock_remaining = $1
+        WHERE id = $2 AND canteen_id = $3
+    `;
+    const result = await db.query(query, [dailyStock, itemId, canteenId]);
+    return result.rowCount > 0;
+}
+
+// Set an item's daily stock
+app.post('/staff/menu/stock', requirePermission('manage_menu'), async (req, res) => {
+    const { id } = req.body;
+    try {
+        await setMenuItemStock(id, staffCanteenId(req), readDailyStock(req.body.daily_stock));
+        res.redirect('/staff/manage-menu');
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).send(err.message);
+        }
+        console.error('Error setting menu item stock:', err);
+        res.status(500).send('Error setting stock.');
+    }
+});
+
+// =================================================================
+// --- NEW: USER MANAGEMENT ROUTES ---
+// =================================================================
+// Staff use this page for wallet top-ups; only admins see and use the account controls
+app.get('/staff/manage-users', requirePermission('top_up_wallets'), async (req, res) => {
+    const isAdmin = hasPermission(req.session.user, 'manage_users');
+    try {
+        // We don't want to show the staff's own password hash
+        const [result, canteenResult, inviteResult] = await Promise.all([
+            db.query(
+                "SELECT id, username, email, role, canteen_id, disabled_at, wallet_balance FROM users WHERE $1 OR role = 'student' ORDER BY id",
+                [isAdmin]
+            ),
+            db.query('SELECT id, name FROM canteens ORDER BY name'),
+            db.query(`
+                SELECT i.id, i.code, i.expires_at, c.name AS canteen_name
+                FROM staff_invites i
+                LEFT JOIN canteens c ON i.canteen_id = c.id
+                WHERE i.used_at IS NULL AND i.expires_at > NOW()
+                ORDER BY i.created_at DESC
+            `)
+        ]);
+        const canteenOptionsFor = (selectedId) => canteenResult.rows
+            .map(canteen => html`<option value="${canteen.id}" ${canteen.id === selectedId ? 'selected' : ''}>${canteen.name}</option>`);
+        const csrf = csrfField(req);
+
+        const userRows = result.rows.map(user => {
+            const isSelf = user.id === req.session.user.id;
+            const roleOptions = ROLES
+                .map(role => html`<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`);
+            const canteen = canteenResult.rows.find(c => c.id === user.canteen_id);
+            return html`
+                <tr class="${user.disabled_at ? 'user-disabled' : ''}">
+                    <td>${user.id}</td>
+                    <td>
+                        ${user.username}${user.disabled_at ? html` <span class="status-unavailable">(disabled)</span>` : ''}
+                        ${user.email ? html`<div class="subtle-text">${user.email}</div>` : ''}
+                    </td>
+                    <td>
+                        ${isSelf || !isAdmin ? user.role : html`
+                            <form action="/staff/user/role" method="POST" class="inline-form">
+                                ${csrf}
+                                <input type="hidden" name="userId" value="${user.id}">
+                                <select name="role">${roleOptions}</select>
+                                <button type="submit" class="btn btn-secondary">Change</button>
+                            </form>
+                        `}
+                    </td>
+                    <td>
+                        ${!worksAtCanteen(user.role) ? '-' : !isAdmin ? (canteen ? canteen.name : '-') : html`
+                            <form action="/staff/user/canteen" method="POST" class="inline-form">
+                                ${csrf}
+                                <input type="hidden" name="userId" value="${user.id}">
+                                <select name="canteen_id">${canteenOptionsFor(user.canteen_id)}</select>
+                                <button type="submit" class="btn btn-secondary">Assign</button>
+                            </form>
+                        `}
+                    </td>
+                    <td>
+                        ${user.role !== 'student' ? '-' : html`
+                            <strong>₹${user.wallet_balance}</strong>
+                            ${user.disabled_at ? '' : html`
+                                <form action="/staff/wallet/top-up" method="POST" class="inline-form">
+                                    ${csrf}
+                                    <input type="hidden" name="userId" value="${user.id}">
+                                    <input type="number" name="amount" min="1" max="${MAX_WALLET_TOPUP}" placeholder="₹" style="width: 80px;" required>
+                                    <input type="text" name="note" placeholder="Note (optional)" style="width: 120px;">
+                                    <button type="submit" class="btn btn-primary" onclick="return confirm('Record this cash top-up?');">Top Up</button>
+                                </form>
+                            `}
+                        `}
+                    </td>
+                    <td>
+                        ${isSelf || !isAdmin || !user.email ? '' : html`
+                            <form action="/staff/user/reset-password" method="POST" style="display:inline;">
+                                ${csrf}
+                                <input type="hidden" name="userId" value="${user.id}">
+                                <button type="submit" class="btn btn-secondary">Send Reset Link</button>
+                            </form>
+                        `}
+                        ${isSelf || !isAdmin ? '' : user.disabled_at ? html`
+                            <form action="/staff/user/enable" method="POST" style="display:inline;">
+                                ${csrf}
+                                <input type="hidden" name="userId" value="${user.id}">
+                                <button type="submit" class="btn btn-primary">Enable</button>
+                            </form>
+                        ` : html`
+                            <form action="/staff/user/disable" method="POST" style="display:inline;" onsubmit="return confirm('Disable this account? They are logged out and can no longer log in. Their orders are kept.');">
+                                ${csrf}
+                                <input type="hidden" name="userId" value="${user.id}">
+                                <button type="submit" class="btn btn-danger">Disable</button>
+                            </form>
+                        `}
+                    </td>
+                </tr>
+            `;
+        });
+
+        const inviteRows = inviteResult.rows.length === 0
+            ? html`<tr><td colspan="4">No unused invite codes.</td></tr>`
+            : inviteResult.rows.map(invite => html`
+                <tr>
+                    <td><code>${invite.code}</code></td>
+                    <td>${invite.canteen_name || '-'}</td>
+                    <td>${new Date(invite.expires_at).toLocaleDateString('en-IN', { timeZone: CANTEEN_TIMEZONE })}</td>
+                    <td>
+                        <form action="/staff/invites/delete" method="POST" style="display:inline;">
+                            ${csrf}
+                            <input type="hidden" name="id" value="${invite.id}">
+                            <button type="submit" class="btn btn-danger">Revoke</button>
+                        </form>
+                    </td>
+                </tr>
+            `);
+
+        // Adding staff and invite codes is for admins only
+        const addStaffHtml = !isAdmin ? '' : raw(render('partials/add-staff', {
+            csrfToken: csrfToken(req),
+            canteenOptions: canteenOptionsFor(req.session.user.canteenId),
+            inviteRows
+        }));
+
+        renderPage(req, res, 'manage-users', {
+            title: 'Manage Users - Canteen',
+            addStaff: addStaffHtml,
+            userRows
+        });
+    } catch (err) {
+        console.error('Error loading user management:', err);
+        res.status(500).send('Error loading page.');
+    }
+});
+
+// Helper: drop a user's open sockets so they reconnect with their current role and canteen
+function disconnectUser(userId) {
+    io.in(`user_${userId}`).disconnectSockets(true);
+}
+
+// Create an account directly (usually staff; students can also sign themselves up)
+app.post('/staff/user/add', requirePermission('manage_users'), async (req, res) => {
+    const { username, password, role, canteen_id } = req.body;
+    if (!ROLES.includes(role)) {
+        return res.status(400).send('Unknown role.');
+    }
+    if (!username) {
+        return res.status(400).send('Username is required.');
+    }
+    const passwordProblem = checkNewPassword(password);
+    if (passwordProblem) {
+        return res.status(400).send(passwordProblem);
+    }
+    try {
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await db.query(`
+            INSERT INTO users (username, password, role, canteen_id)
+            VALUES ($1, $2, $3, CASE WHEN $4 THEN COALESCE((SELECT id FROM canteens WHERE id = $5), (SELECT MIN(id) FROM canteens)) END)
+        `, [username, hashedPassword, role, worksAtCanteen(role), canteen_id || null]);
+        res.redirect('/staff/manage-users');
+    } catch (err) {
+        console.error('Error creating user:', err);
+        res.status(500).send('Error creating user. Username may already be taken.');
+    }
+});
+
+// Change someone's role. Admins can't change their own, so there is always at least one admin.
+app.post('/staff/user/role', requirePermission('manage_users'), async (req, res) => {
+    const { userId, role } = req.body;
+    if (!ROLES.includes(role)) {
+        return res.status(400).send('Unknown role.');
+    }
+    if (userId == req.session.user.id) {
+        return res.status(400).send('You cannot change your own role.');
+    }
+    try {
+        // Staff and admins need a canteen; students don't have one
+        const result = await db.query(`
+            UPDATE users
+            SET role = $2,
+                canteen_id = CASE WHEN $3 THEN COALESCE(canteen_id, (SELECT MIN(id) FROM canteens)) END
+            WHERE id = $1
+        `, [userId, role, worksAtCanteen(role)]);
+        if (result.rowCount === 0) {
+            return res.status(404).send('User not found.');
+        }
+        // Open sockets joined rooms for the old role
+        disconnectUser(userId);
+        res.redirect('/staff/manage-users');
+    } catch (err) {
+        console.error('Error changing user role:', err);
+        res.status(500).send('Error changing role.');
+    }
+});
+
+// Assign a staff member to a canteen
+app.post('/staff/user/canteen', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const result = await db.query(
+            'UPDATE users SET canteen_id = c.id FROM canteens c WHERE users.id = $1 AND users.role = ANY($3) AND c.id = $2',
+            [req.body.userId, req.body.canteen_id, STAFF_ROLES]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).send('Staff member or canteen not found.');
+        }
+        disconnectUser(req.body.userId);
+        res.redirect('/staff/manage-users');
+    } catch (err) {
+        console.error('Error assigning staff canteen:', err);
+        res.status(500).send('Error assigning canteen.');
+    }
+});
+
+// Disable an account instead of deleting it, so orders and reports stay intact
+app.post('/staff/user/disable', requirePermission('manage_users'), async (req, res) => {
+    const { userId } = req.body;
+    
+    // Safety check: Don't let admins lock themselves out
+    if (userId == req.session.user.id) {
+        return res.status(400).send("Cannot disable yourself.");
+    }
+    
+    try {
+        const result = await db.query('UPDATE users SET disabled_at = COALESCE(disabled_at, NOW()) WHERE id = $1', [userId]);
+        if (result.rowCount === 0) {
+            return res.status(404).send('User not found.');
+        }
+        disconnectUser(userId);
+        res.redirect('/staff/manage-users');
+    } catch (err) {
+        console.error('Error disabling user:', err);
+        res.status(500).send('Error disabling user.');
+    }
+});
+
+app.post('/staff/user/enable', requirePermission('manage_users'), async (req, res) => {
+    try {
+        await db.query('UPDATE users SET disabled_at = NULL WHERE id = $1', [req.body.userId]);
+        res.redirect('/staff/manage-users');
+    } catch (err) {
+        console.error('Error enabling user:', err);
+        res.status(500).send('Error enabling user.');
+    }
+});
+
+// Create a single-use invite code for a new staff member at the chosen canteen
+app.post('/staff/invites/add', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const code = crypto.randomBytes(6).toString('hex');
+        await db.query(`
+            INSERT INTO staff_invites (code, canteen_id, created_by, expires_at)
+            VALUES ($1, (SELECT id FROM canteens WHERE id = $2), $3, NOW() + make_interval(days => $4))
+        `, [code, req.body.canteen_id || null, req.session.user.id, STAFF_INVITE_DAYS]);
+        res.redirect('/staff/manage-users');
+    } catch (err) {
+        console.error('Error creating staff invite:', err);
+        res.status(500).send('Error creating invite code.');
+    }
+});
+
+app.post('/staff/invites/delete', requirePermission('manage_users'), async (req, res) => {
+    try {
+        await db.query('DELETE FROM staff_invites WHERE id = $1 AND used_at IS NULL', [req.body.id]);
+        res.redirect('/staff/manage-users');
+    } catch (err) {
+        console.error('Error revoking staff invite:', err);
+        res.status(500).send('Error revoking invite code.');
+    }
+});
+
+
+// =================================================================
+// --- NEW: ACCOUNT SECURITY (PASSWORDS, RESETS, LOCKOUT) ---
+// =================================================================
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_FAILED_LOGINS = 5; // Per account, before it is locked
+const MAX_FAILED_LOGINS_PER_IP = 20; // Per IP address, across all accounts
+const LOGIN_LOCKOUT_MINUTES = 15;
+const PASSWORD_RESET_MINUTES = 60; // How long a reset link works
+
+// Helper: returns what's wrong with a new password, or null if it's fine
+function checkNewPassword(password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+    }
+    return null;
+}
+
+// Failed logins per IP are only kept in memory: a restart forgets them, which is fine
+// for throttling. ip -> { count, resetAt }
+const failedLoginsByIp = new Map();
+
+function isIpLockedOut(ip) {
+    const entry = failedLoginsByIp.get(ip);
+    return Boolean(entry) && entry.resetAt > Date.now() && entry.count >= MAX_FAILED_LOGINS_PER_IP;
+}
+
+// Helper: count a failed login against the IP and, if the username exists, the account
+async function recordFailedLogin(ip, user) {
+    const entry = failedLoginsByIp.get(ip);
+    if (!entry || entry.resetAt <= Date.now()) {
+        failedLoginsByIp.set(ip, { count: 1, resetAt: Date.now() + LOGIN_LOCKOUT_MINUTES * 60000 });
+    } else {
+        entry.count += 1;
+    }
+    if (!user) return;
+    // Reaching the limit locks the account and starts the count again
+    await db.query(`
+        UPDATE users
+        SET locked_until = CASE WHEN failed_logins + 1 >= $2 THEN NOW() + make_interval(mins => $3) ELSE locked_until END,
+            failed_logins = CASE WHEN failed_logins + 1 >= $2 THEN 0 ELSE failed_logins + 1 END
+        WHERE id = $1
+    `, [user.id, MAX_FAILED_LOGINS, LOGIN_LOCKOUT_MINUTES]);
+}
+
+// Forget IPs whose lockout window has passed
+setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of failedLoginsByIp) {
+        if (entry.resetAt <= now) failedLoginsByIp.delete(ip);
+    }
+}, LOGIN_LOCKOUT_MINUTES * 60000).unref();
+
+// --- Mail ---
+// A mail transport is an object with:
+//   name                           - picked with the MAIL_TRANSPORT environment variable
+//   send({ from, to, subject, text }) - delivers the message (throws if it can't)
+// The built-in "outbox" transport writes each message to a file instead of sending
+// it, for development. Register a real one (SMTP, an email API, ...) for production.
+const mailTransports = {};
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'outbox';
+const MAIL_FROM = process.env.MAIL_FROM || 'CallMyTurn <no-reply@callmyturn.local>';
+const MAIL_OUTBOX_DIR = path.join(__dirname, 'outbox');
+
+function registerMailTransport(transport) {
+    mailTransports[transport.name] = transport;
+}
+
+registerMailTransport({
+    name: 'outbox',
+    async send(message) {
+        await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+        const file = path.join(MAIL_OUTBOX_DIR, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+        const content = `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`;
+        await fs.promises.writeFile(file, content);
+        console.log(`📧 [outbox] "${message.subject}" for ${message.to} written to ${file}`);
+    }
+});
+
+async function sendMail(message) {
+    const transport = mailTransports[MAIL_TRANSPORT];
+    if (!transport) {
+        throw new Error(`Unknown mail transport "${MAIL_TRANSPORT}"`);
+    }
+    await transport.send({ from: MAIL_FROM, ...message });
+}
+
+if (process.env.NODE_ENV === 'production' && MAIL_TRANSPORT === 'outbox') {
+    console.warn('⚠️ MAIL_TRANSPORT is "outbox": emails (like password reset links) are only written to disk.');
+}
+
+// Helper: the site's address for links in emails. PUBLIC_URL should be set in
+// production, so links never depend on a Host header someone else sent.
+function publicUrl(req) {
+    return process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Reset links and API tokens are only stored hashed, so a leaked table can't be used to log in
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Any logged-in account, whatever its role
+const requireLogin = requirePermission(null);
+
+app.get('/account', requireLogin, serveView('account', { title: 'My Account | Call My Turn' }));
+
+// API: who is logged in, for the account page
+app.get('/api/account', requireLogin, async (req, res) => {
+    try {
+        const result = await db.query('SELECT username, role, email FROM users WHERE id = $1', [req.session.user.id]);
+        const account = result.rows[0];
+        res.json({ ...account, home: worksAtCanteen(account.role) ? '/staffdashboard' : '/studentdashboard' });
+    } catch (err) {
+        console.error('Error fetching account:', err);
+        res.status(500).json({ error: 'Error fetching account.' });
+    }
+});
+
+app.post('/account/email', requireLogin, async (req, res) => {
+    const email = (req.body.email || '').trim();
+    if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) {
+        return res.status(400).send('Please enter a valid email address.');
+    }
+    try {
+        await db.query('UPDATE users SET email = $2 WHERE id = $1', [req.session.user.id, email || null]);
+        res.redirect('/account?changed=email');
+    } catch (err) {
+        console.error('Error updating email:', err);
+        res.status(500).send('Error updating email.');
+    }
+});
+
+// Change your own password. Every other session of the account is logged out.
+app.post('/account/password', requireLogin, async (req, res) => {
+    const { current_password, new_password, confirm_password } = req.body;
+    const passwordProblem = checkNewPassword(new_password);
+    if (passwordProblem) {
+        return res.status(400).send(passwordProblem);
+    }
+    if (new_password !== confirm_password) {
+        return res.status(400).send('The new passwords do not match.');
+    }
+    try {
+        const result = await db.query('SELECT password FROM users WHERE id = $1', [req.session.user.id]);
+        const match = await bcrypt.compare(current_password || '', result.rows[0].password);
+        if (!match) {
+            return res.status(400).send('Your current password is wrong.');
+        }
+        const hashedPassword = await bcrypt.hash(new_password, 10);
+        const updated = await db.query(
+            'UPDATE users SET password = $2, session_version = session_version + 1 WHERE id = $1 RETURNING *',
+            [req.session.user.id, hashedPassword]
+        );
+        // Reset links sent before the change, and API tokens, shouldn't still work
+        await db.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [req.session.user.id]);
+        await db.query('DELETE FROM api_tokens WHERE user_id = $1', [req.session.user.id]);
+        await startSession(req, updated.rows[0]);
+        res.redirect('/account?changed=password');
+    } catch (err) {
+        console.error('Error changing password:', err);
+        res.status(500).send('Error changing password.');
+    }
+});
+
+// Admin: email someone a single-use link to choose a new password
+app.post('/staff/user/reset-password', requirePermission('manage_users'), async (req, res) => {
+    try {
+        const result = await db.query('SELECT id, username, email FROM users WHERE id = $1', [req.body.userId]);
+        const user = result.rows[0];
+        if (!user) {
+            return res.status(404).send('User not found.');
+        }
+        if (!user.email) {
+            return res.status(400).send('This user has no email address on file. They can add one on their Account page.');
+        }
+
+        // Only the newest link works
+        const token = crypto.randomBytes(32).toString('hex');
+        await db.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [user.id]);
+        await db.query(`
+            INSERT INTO password_reset_tokens (user_id, token_hash, created_by, expires_at)
+            VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+        `, [user.id, hashToken(token), req.session.user.id, PASSWORD_RESET_MINUTES]);
+
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your CallMyTurn password',
+            text: `Hi ${user.username},\n\nA canteen admin has sent you a link to choose a new password:\n\n` +
+                `${publicUrl(req)}/reset-password/${token}\n\n` +
+                `The link works once and expires in ${PASSWORD_RESET_MINUTES} minutes.`
+        });
+        res.redirect('/staff/manage-users');
+    } catch (err) {
+        console.error('Error sending password reset link:', err);
+        res.status(500).send('Error sending reset link.');
+    }
+});
+
+app.get('/reset-password/:token', servePage('reset-password.html'));
+
+// Use a reset link: set the new password, burn the token and log out every session
+app.post('/reset-password/:token', async (req, res) => {
+    const { new_password, confirm_password } = req.body;
+    const passwordProblem = checkNewPassword(new_password);
+    if (passwordProblem) {
+        return res.status(400).send(passwordProblem);
+    }
+    if (new_password !== confirm_password) {
+        return res.status(400).send('The new passwords do not match.');
+    }
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const tokenResult = await client.query(`
+            UPDATE password_reset_tokens SET used_at = NOW()
+            WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+            RETURNING user_id
+        `, [hashToken(req.params.token)]);
+        if (tokenResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).send('This reset link is invalid, expired or has already been used.');
+        }
+        const hashedPassword = await bcrypt.hash(new_password, 10);
+        const userResult = await client.query(`
+            UPDATE users
+            SET password = $2, session_version = session_version + 1, failed_logins = 0, locked_until = NULL
+            WHERE id = $1
+            RETURNING role
+        `, [tokenResult.rows[0].user_id, hashedPassword]);
+        await client.query('DELETE FROM api_tokens WHERE user_id = $1', [tokenResult.rows[0].user_id]);
+        await client.query('COMMIT');
+
+        res.redirect(worksAtCanteen(userResult.rows[0].role) ? '/staff-login.html' : '/student-login.html');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error resetting password:', err);
+        res.status(500).send('Error resetting password.');
+    } finally {
+        client.release();
+    }
+});
+
+
+// =================================================================
+// --- NEW: MENU AVAILABILITY SCHEDULES ---
+// =================================================================
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// True when window w covers the current weekday and time in the canteen's timezone
+const WINDOW_IS_OPEN_SQL = `(
+    EXTRACT(DOW FROM NOW() AT TIME ZONE '${CANTEEN_TIMEZONE}')::int = ANY(w.days)
+    AND (NOW() AT TIME ZONE '${CANTEEN_TIMEZONE}')::time >= w.start_time
+    AND (NOW() AT TIME ZONE '${CANTEEN_TIMEZONE}')::time < w.end_time
+)`;
+
+// True when menu item m is on its schedule right now. An item's own windows win over
+// its category's; with no windows at all it's always on. is_available stays the
+// manual switch on top of this (e.g. to take an item off when it runs out).
+const ITEM_IN_SCHEDULE_SQL = `(
+    CASE
+        WHEN EXISTS (SELECT 1 FROM availability_windows w WHERE w.menu_item_id = m.id)
+            THEN EXISTS (SELECT 1 FROM availability_windows w WHERE w.menu_item_id = m.id AND ${WINDOW_IS_OPEN_SQL})
+        WHEN EXISTS (SELECT 1 FROM availability_windows w WHERE w.category_id = m.category_id)
+            THEN EXISTS (SELECT 1 FROM availability_windows w WHERE w.category_id = m.category_id AND ${WINDOW_IS_OPEN_SQL})
+        ELSE TRUE
+    END
+)`;
+
+// Helper: is this an "HH:MM" time, as sent by <input type="time">?
+function isTimeOfDay(value) {
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(value || '');
+}
+
+// Helper: weekday checkboxes ("days", one value or several) as unique numbers 0-6
+function readWeekdays(value) {
+    const days = [].concat(value || []).map(day => parseInt(day, 10)).filter(day => day >= 0 && day <= 6);
+    return Array.from(new Set(days));
+}
+
+// Helper: "Mon-Fri 07:30 - 10:30" style label for a window
+function formatWindow(window) {
+    const days = window.days.slice().sort((a, b) => a - b);
+    const isRun = days.every((day, i) => i === 0 || day === days[i - 1] + 1);
+    const dayLabel = days.length === 7 ? 'Every day'
+        : isRun && days.length > 2 ? `${WEEKDAYS[days[0]]}-${WEEKDAYS[days[days.length - 1]]}`
+        : days.map(day => WEEKDAYS[day]).join(', ');
+    return `${dayLabel} ${formatSlot(window.start_time, window.end_time)}`;
+}
+
+app.get('/staff/schedules', requirePermission('manage_menu'), serveView('menu-schedules', { title: 'Availability Schedules - Canteen' }));
+
+// API: every window, plus the categories and items they can be attached to
+app.get('/api/staff/schedules', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        const [windowResult, categoryResult, itemResult] = await Promise.all([
+            db.query(`
+                SELECT w.*, m.name AS item_name, c.name AS category_name, ${WINDOW_IS_OPEN_SQL} AS is_open
+                FROM availability_windows w
+                LEFT JOIN menu_items m ON m.id = w.menu_item_id
+                LEFT JOIN menu_categories c ON c.id = w.category_id
+                WHERE COALESCE(m.canteen_id, c.canteen_id) = $1 AND m.deleted_at IS NULL
+                ORDER BY c.sort_order NULLS LAST, c.name, m.name, w.start_time
+            `, [staffCanteenId(req)]),
+            db.query('SELECT id, name FROM menu_categories WHERE canteen_id = $1 ORDER BY sort_order, name', [staffCanteenId(req)]),
+            db.query('SELECT id, name FROM menu_items WHERE canteen_id = $1 AND deleted_at IS NULL ORDER BY name', [staffCanteenId(req)])
+        ]);
+        const windows = windowResult.rows.map(window => ({ ...window, label: formatWindow(window) }));
+        res.json({ windows, categories: categoryResult.rows, items: itemResult.rows, weekdays: WEEKDAYS });
+    } catch (err) {
+        console.error('Error fetching menu schedules:', err);
+        res.status(500).json({ error: 'Failed to fetch schedules' });
+    }
+});
+
+// The form's target is "category:ID" or "item:ID"
+app.post('/staff/schedules/add', requirePermission('manage_menu'), async (req, res) => {
+    const [targetType, targetId] = (req.body.target || '').split(':');
+    const days = readWeekdays(req.body.days);
+
+    if (!['category', 'item'].includes(targetType) || !targetId) {
+        return res.status(400).send('Choose a category or item.');
+    }
+    if (days.length === 0) {
+        return res.status(400).send('Choose at least one day.');
+    }
+    if (!isTimeOfDay(req.body.start_time) || !isTimeOfDay(req.body.end_time) || req.body.end_time <= req.body.start_time) {
+        return res.status(400).send('Enter a start and end time on the same day (end after start).');
+    }
+    try {
+        // The item or category must be at this staff member's canteen
+        const targetTable = targetType === 'item' ? 'menu_items' : 'menu_categories';
+        const result = await db.query(`
+            INSERT INTO availability_windows (menu_item_id, category_id, days, start_time, end_time)
+            SELECT $1, $2, $3, $4, $5
+            WHERE EXISTS (SELECT 1 FROM ${targetTable} WHERE id = $6 AND canteen_id = $7)
+        `, [targetType === 'item' ? targetId : null, targetType === 'category' ? targetId : null, days, req.body.start_time, req.body.end_time, targetId, staffCanteenId(req)]);
+        if (result.rowCount === 0) {
+            return res.status(404).send('Category or item not found.');
+        }
+        res.redirect('/staff/schedules');
+    } catch (err) {
+        console.error('Error adding availability window:', err);
+        res.status(500).send('Error adding schedule.');
+    }
+});
+
+app.post('/staff/schedules/delete', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        const query = `
+            DELETE FROM availability_windows
+            WHERE id = $1 AND (
+                menu_item_id IN (SELECT id FROM menu_items WHERE canteen_id = $2)
+                OR category_id IN (SELECT id FROM menu_categories WHERE canteen_id = $2)
+            )
+        `;
+        await db.query(query, [req.body.id, staffCanteenId(req)]);
+        res.redirect('/staff/schedules');
+    } catch (err) {
+        console.error('Error deleting availability window:', err);
+        res.status(500).send('Error deleting schedule.');
+    }
+});
+
+
+// =================================================================
+// --- NEW: CANTEENS (OUTLETS) ---
+// =================================================================
+// True when canteen c is open right now (no opening hours = always open)
+const CANTEEN_IS_OPEN_SQL = `(
+    NOT EXISTS (SELECT 1 FROM canteen_hours w WHERE w.canteen_id = c.id)
+    OR EXISTS (SELECT 1 FROM canteen_hours w WHERE w.canteen_id = c.id AND ${WINDOW_IS_OPEN_SQL})
+)`;
+
+// Helper: canteens with whether they're open now and their opening hours
+async function listCanteens({ includeInactive = false } = {}) {
+    const result = await db.query(`
+        SELECT c.*, ${CANTEEN_IS_OPEN_SQL} AS is_open,
+               COALESCE((SELECT json_agg(json_build_object('id', w.id, 'days', w.days, 'start_time', w.start_time, 'end_time', w.end_time)
+                                 ORDER BY w.start_time)
+                         FROM canteen_hours w WHERE w.canteen_id = c.id), '[]') AS hours
+        FROM canteens c
+        ${includeInactive ? '' : 'WHERE c.is_active'}
+        ORDER BY c.name
+    `);
+    return result.rows.map(canteen => ({
+        ...canteen,
+        hours: canteen.hours.map(window => ({ id: window.id, label: formatWindow(window) }))
+    }));
+}
+
+// Helper: one active canteen (with is_open), or undefined
+async function getCanteen(canteenId) {
+    const result = await db.query(`SELECT c.*, ${CANTEEN_IS_OPEN_SQL} AS is_open FROM canteens c WHERE c.id = $1 AND c.is_active`, [canteenId]);
+    return result.rows[0];
+}
+
+// Students pick a canteen before they see a menu
+app.get('/student/canteens', requirePermission('place_orders'), serveView('choose-canteen', { title: 'Choose a Canteen', bodyClass: 'center-layout' }));
+
+// API: the canteens students can order from
+app.get('/api/canteens', async (req, res) => {
+    try {
+        res.json(await listCanteens());
+    } catch (err) {
+        console.error('Error fetching canteens:', err);
+        res.status(500).json({ error: 'Failed to fetch canteens' });
+    }
+});
+
+app.post('/student/canteen', requirePermission('place_orders'), async (req, res) => {
+    try {
+        const canteen = await getCanteen(parseInt(req.body.canteen_id, 10) || 0);
+        if (!canteen) {
+            return res.status(404).send('Canteen not found.');
+        }
+        req.session.canteenId = canteen.id;
+        res.redirect('/studentdashboard');
+    } catch (err) {
+        console.error('Error choosing canteen:', err);
+        res.status(500).send('Error choosing canteen.');
+    }
+});
+
+app.get('/staff/canteens', requirePermission('manage_canteens'), serveView('canteens', { title: 'Canteens - Canteen' }));
+
+// API: every canteen, for the canteens page
+app.get('/api/staff/canteens', requirePermission('manage_canteens'), async (req, res) => {
+    try {
+        res.json({ canteens: await listCanteens({ includeInactive: true }), weekdays: WEEKDAYS, current: staffCanteenId(req) });
+    } catch (err) {
+        console.error('Error fetching canteens:', err);
+        res.status(500).json({ error: 'Failed to fetch canteens' });
+    }
+});
+
+app.post('/staff/canteens/add', requirePermission('manage_canteens'), async (req, res) => {
+    const name = (req.body.name || '').trim();
+    if (!name) {
+        return res.status(400).send('Canteen name is required.');
+    }
+    try {
+        await db.query('INSERT INTO canteens (name, location) VALUES ($1, $2)', [name, (req.body.location || '').trim() || null]);
+        res.redirect('/staff/canteens');
+    } catch (err) {
+        console.error('Error adding canteen:', err);
+        res.status(500).send('Error adding canteen. The name may already be taken.');
+    }
+});
+
+// Canteens are switched off rather than deleted, so old orders and staff keep theirs
+app.post('/staff/canteens/update', requirePermission('manage_canteens'), async (req, res) => {
+    const name = (req.body.name || '').trim();
+    if (!name) {
+        return res.status(400).send('Canteen name is required.');
+    }
+    try {
+        await db.query(
+            'UPDATE canteens SET name = $1, location = $2, is_active = $3 WHERE id = $4',
+            [name, (req.body.location || '').trim() || null, req.body.is_active === 'on', req.body.id]
+        );
+        res.redirect('/staff/canteens');
+    } catch (err) {
+        console.error('Error updating canteen:', err);
+        res.status(500).send('Error updating canteen. The name may already be taken.');
+    }
+});
+
+app.post('/staff/canteens/hours/add', requirePermission('manage_canteens'), async (req, res) => {
+    const days = readWeekdays(req.body.days);
+    if (days.length === 0) {
+        return res.status(400).send('Choose at least one day.');
+    }
+    if (!isTimeOfDay(req.body.start_time) || !isTimeOfDay(req.body.end_time) || req.body.end_time <= req.body.start_time) {
+        return res.status(400).send('Enter an opening and closing time on the same day (closing after opening).');
+    }
+    const canteenId = parseInt(req.body.canteen_id, 10);
+    if (!Number.isInteger(canteenId) || canteenId <= 0) {
+        return res.status(400).send('Choose a canteen.');
+    }
+    try {
+        // Inactive canteens still get their hours set up before they reopen
+        const canteen = await db.query('SELECT id FROM canteens WHERE id = $1', [canteenId]);
+        if (canteen.rows.length === 0) {
+            return res.status(404).send('Canteen not found.');
+        }
+        await db.query(
+            'INSERT INTO canteen_hours (canteen_id, days, start_time, end_time) VALUES ($1, $2, $3, $4)',
+            [canteenId, days, req.body.start_time, req.body.end_time]
+        );
+        res.redirect('/staff/canteens');
+    } catch (err) {
+        console.error('Error adding opening hours:', err);
+        res.status(500).send('Error adding opening hours.');
+    }
+});
+
+app.post('/staff/canteens/hours/delete', requirePermission('manage_canteens'), async (req, res) => {
+    const hoursId = parseInt(req.body.id, 10);
+    if (!Number.isInteger(hoursId) || hoursId <= 0) {
+        return res.status(400).send('Invalid opening hours.');
+    }
+    try {
+        const result = await db.query('DELETE FROM canteen_hours WHERE id = $1', [hoursId]);
+        if (result.rowCount === 0) {
+            return res.status(404).send('Opening hours not found.');
+        }
+        res.redirect('/staff/canteens');
+    } catch (err) {
+        console.error('Error deleting opening hours:', err);
+        res.status(500).send('Error deleting opening hours.');
+    }
+});
+
+
+// =================================================================
+// --- NEW: PICKUP TIME SLOTS ---
+// =================================================================
+// Orders that take up room in a slot (cancelled/rejected ones free theirs up)
+const SLOT_USAGE_JOIN_SQL = `
+    LEFT JOIN orders o ON o.pickup_slot_id = s.id
+        AND o.token_date = (NOW() AT TIME ZONE $1)::date
+        AND o.status NOT IN ('Cancelled', 'Rejected')
+    LEFT JOIN LATERAL (
+        SELECT SUM((item->>'quantity')::int) AS quantity FROM jsonb_array_elements(o.items) AS item
+    ) order_items ON TRUE
+`;
+
+// Helper: "12:30 - 12:45" from TIME strings ("12:30:00") or timestamps
+function formatSlot(start, end) {
+    const format = value => (typeof value === 'string'
+        ? value.slice(0, 5)
+        : new Date(value).toLocaleTimeString('en-GB', { timeZone: CANTEEN_TIMEZONE, hour: '2-digit', minute: '2-digit' }));
+    return `${format(start)} - ${format(end)}`;
+}
+
+// Helper: a canteen's slots for today with how many orders/items each already has.
+// Students only see active slots that haven't ended yet; staff see everything.
+async function getTodaySlots(canteenId, { includeInactive = false } = {}) {
+    const result = await db.query(`
+        SELECT s.*,
+               COUNT(o.id)::int AS order_count,
+               COALESCE(SUM(order_items.quantity), 0)::int AS item_count,
+               s.end_time <= (NOW() AT TIME ZONE $1)::time AS is_past
+        FROM pickup_slots s
+        ${SLOT_USAGE_JOIN_SQL}
+        WHERE s.canteen_id = $2
+        ${includeInactive ? '' : 'AND s.is_active AND s.end_time > (NOW() AT TIME ZONE $1)::time'}
+        GROUP BY s.id
+        ORDER BY s.start_time, s.id
+    `, [CANTEEN_TIMEZONE, canteenId]);
+
+    return result.rows.map(slot => ({
+        ...slot,
+        is_full: (slot.max_orders !== null && slot.order_count >= slot.max_orders) ||
+                 (slot.max_items !== null && slot.item_count >= slot.max_items)
+    }));
+}
+
+// Helper: book a place in a slot for an order of itemCount items (inside the order's transaction).
+// Locking the slot row makes concurrent orders for the same slot wait for each other,
+// so the capacity check can't be raced. Returns the slot's start/end as timestamps for today.
+async function reservePickupSlot(client, slotId, itemCount, canteenId) {
+    const slotResult = await client.query(`
+        SELECT id, start_time, end_time, max_orders, max_items,
+               end_time <= (NOW() AT TIME ZONE $2)::time AS is_past,
+               ((NOW() AT TIME ZONE $2)::date + start_time) AT TIME ZONE $2 AS pickup_start,
+               ((NOW() AT TIME ZONE $2)::date + end_time) AT TIME ZONE $2 AS pickup_end
+        FROM pickup_slots WHERE id = $1 AND canteen_id = $3 AND is_active
+        FOR UPDATE
+    `, [slotId, CANTEEN_TIMEZONE, canteenId]);
+    if (slotResult.rows.length === 0) {
+        throw httpError(400, 'That pickup slot is no longer offered. Please choose another time.');
+    }
+    const slot = slotResult.rows[0];
+    const label = formatSlot(slot.start_time, slot.end_time);
+    if (slot.is_past) {
+        throw httpError(409, `The ${label} pickup slot has already passed. Please choose another time.`);
+    }
+
+    const usageResult = await client.query(`
+        SELECT COUNT(o.id)::int AS order_count, COALESCE(SUM(order_items.quantity), 0)::int AS item_count
+        FROM pickup_slots s
+        ${SLOT_USAGE_JOIN_SQL}
+        WHERE s.id = $2
+    `, [CANTEEN_TIMEZONE, slotId]);
+    const { order_count: orderCount, item_count: usedItems } = usageResult.rows[0];
+
+    if (slot.max_orders !== null && orderCount >= slot.max_orders) {
+        throw httpError(409, `The ${label} pickup slot is full. Please choose another time.`);
+    }
+    if (slot.max_items !== null && usedItems + itemCount > slot.max_items) {
+        throw httpError(409, `The ${label} pickup slot doesn't have room for ${itemCount} more item(s). Please choose another time.`);
+    }
+    return { slotId: slot.id, pickupStart: slot.pickup_start, pickupEnd: slot.pickup_end };
+}
+
+// Helper: read a slot form
+function readSlotForm(body) {
+    const readLimit = value => {
+        if (value === undefined || value === '') return null;
+        const limit = parseInt(value, 10);
+        if (isNaN(limit) || limit < 1) {
+            throw httpError(400, 'Limits must be at least 1 (leave blank for no limit).');
+        }
+        return limit;
+    };
+
+    if (!isTimeOfDay(body.start_time) || !isTimeOfDay(body.end_time)) {
+        throw httpError(400, 'Start and end times are required (HH:MM).');
+    }
+    if (body.end_time <= body.start_time) {
+        throw httpError(400, 'A slot must end after it starts.');
+    }
+    return {
+        startTime: body.start_time,
+        endTime: body.end_time,
+        maxOrders: readLimit(body.max_orders),
+        maxItems: readLimit(body.max_items)
+    };
+}
+
+app.get('/staff/pickup-slots', requirePermission('manage_menu'), serveView('pickup-slots', { title: 'Pickup Slots - Canteen' }));
+
+// API: every slot with today's bookings (for the slots page)
+app.get('/api/staff/pickup-slots', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        res.json(await getTodaySlots(staffCanteenId(req), { includeInactive: true }));
+    } catch (err) {
+        console.error('Error fetching pickup slots:', err);
+        res.status(500).json({ error: 'Failed to fetch pickup slots' });
+    }
+});
+
+app.post('/staff/pickup-slots/add', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        const { startTime, endTime, maxOrders, maxItems } = readSlotForm(req.body);
+        await db.query(
+            'INSERT INTO pickup_slots (start_time, end_time, max_orders, max_items, canteen_id) VALUES ($1, $2, $3, $4, $5)',
+            [startTime, endTime, maxOrders, maxItems, staffCanteenId(req)]
+        );
+        res.redirect('/staff/pickup-slots');
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).send(err.message);
+        }
+        console.error('Error adding pickup slot:', err);
+        res.status(500).send('Error adding slot.');
+    }
+});
+
+// Edits only affect new orders; existing orders keep the times they were booked for
+app.post('/staff/pickup-slots/update', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        const { startTime, endTime, maxOrders, maxItems } = readSlotForm(req.body);
+        await db.query(
+            'UPDATE pickup_slots SET start_time = $1, end_time = $2, max_orders = $3, max_items = $4, is_active = $5 WHERE id = $6 AND canteen_id = $7',
+            [startTime, endTime, maxOrders, maxItems, req.body.is_active === 'on', req.body.id, staffCanteenId(req)]
+        );
+        res.redirect('/staff/pickup-slots');
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).send(err.message);
+        }
+        console.error('Error updating pickup slot:', err);
+        res.status(500).send('Error updating slot.');
+    }
+});
+
+app.post('/staff/pickup-slots/delete', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        await db.query('DELETE FROM pickup_slots WHERE id = $1 AND canteen_id = $2', [req.body.id, staffCanteenId(req)]);
+        res.redirect('/staff/pickup-slots');
+    } catch (err) {
+        console.error('Error deleting pickup slot:', err);
+        res.status(500).send('Error deleting slot.');
+    }
+});
+
+
+// =================================================================
+// --- NEW: PROMOTIONS (COUPONS & COMBOS) ---
+// =================================================================
+// Staff run two kinds of promotion at their canteen:
+//   coupon - a code the student enters at checkout for a percentage or a flat amount off
+//   combo  - a bundle (e.g. Samosa + Chai) sold together for a set price, applied by
+//            itself whenever the cart holds the whole bundle
+// Either can have a validity window, a total usage limit and a per-student limit. Usage is
+// counted in orders; a cancelled or rejected order gives its use back.
+const PROMOTION_KINDS = ['coupon', 'combo'];
+const COMBO_FORM_ROWS = 4; // Item pickers on the "Add Combo" form
+
+// SQL fragment: promotion "p" is switched on and inside its validity window
+const PROMOTION_LIVE_SQL = '(p.is_active AND (p.starts_at IS NULL OR p.starts_at <= NOW()) AND (p.ends_at IS NULL OR p.ends_at > NOW()))';
+
+// Helper: the code a student typed in, tidied up (null for none)
+function parseCouponCode(value) {
+    const code = String(value || '').trim().toUpperCase();
+    return code || null;
+}
+
+// Helper: "10% off (up to ₹50)" / "₹20 off"
+function describeDiscount(coupon) {
+    if (coupon.discount_type === 'percent') {
+        return `${coupon.discount_value}% off${coupon.max_discount !== null ? ` (up to ₹${coupon.max_discount})` : ''}`;
+    }
+    return `₹${coupon.discount_value} off`;
+}
+
+// Helper: how many orders have used a promotion, in all and by one student
+async function getPromotionUsage(client, promotionId, userId) {
+    const result = await client.query(`
+        SELECT COUNT(DISTINCT o.id)::int AS total,
+               COUNT(DISTINCT o.id) FILTER (WHERE o.user_id = $2)::int AS by_user
+        FROM order_adjustments a
+        JOIN orders o ON o.id = a.order_id
+        WHERE a.promotion_id = $1 AND o.status NOT IN ('Cancelled', 'Rejected')
+    `, [promotionId, userId]);
+    return result.rows[0];
+}
+
+// Helper: which limit stops this student using a promotion again: 'total', 'user' or null
+async function promotionLimitReached(client, promotion, userId) {
+    if (promotion.usage_limit === null && promotion.per_user_limit === null) return null;
+    const usage = await getPromotionUsage(client, promotion.id, userId);
+    if (promotion.usage_limit !== null && usage.total >= promotion.usage_limit) return 'total';
+    if (promotion.per_user_limit !== null && usage.by_user >= promotion.per_user_limit) return 'user';
+    return null;
+}
+
+// Helper: a canteen's combos that can be used now, each with its items
+// ([{ menu_item_id, name, quantity }]). With lock, the combo rows stay locked until
+// COMMIT so two orders can't both take a combo's last use.
+async function getLiveCombos(client, canteenId, { lock = false } = {}) {
+    const result = await client.query(`
+        SELECT p.* FROM promotions p
+        WHERE p.canteen_id = $1 AND p.kind = 'combo' AND ${PROMOTION_LIVE_SQL}
+        ORDER BY p.id
+        ${lock ? 'FOR UPDATE' : ''}
+    `, [canteenId]);
+    const itemsResult = await client.query(`
+        SELECT pi.promotion_id, pi.menu_item_id, pi.quantity, m.name
+        FROM promotion_items pi
+        JOIN menu_items m ON m.id = pi.menu_item_id
+        WHERE pi.promotion_id = ANY($1)
+        ORDER BY m.name
+    `, [result.rows.map(combo => combo.id)]);
+    return result.rows.map(combo => ({
+        ...combo,
+        items: itemsResult.rows.filter(item => item.promotion_id === combo.id)
+    }));
+}
+
+// Helper: the combo discounts on some order lines. Each combo is used as many times as the
+// cart holds its whole bundle, and the units it uses can't count towards another combo.
+// A combo is only used when it is cheaper than its items bought on their own; the saving
+// is split over the lines in the bundle in proportion to what they cost.
+// Returns [{ promotionId, lineIndex, label, amount }], one per combo and line.
+function applyCombos(lines, combos) {
+    const unitsLeft = lines.map(line => line.quantity);
+    const discounts = new Map(); // "<combo id>:<line index>" -> adjustment
+
+    for (const combo of combos) {
+        if (combo.items.length === 0) continue;
+        for (;;) {
+            // The units one more bundle would take, from the first lines that have them
+            const parts = [];
+            const isComplete = combo.items.every(({ menu_item_id: itemId, quantity }) => {
+                let needed = quantity;
+                lines.forEach((line, index) => {
+                    if (needed === 0 || line.id !== itemId || unitsLeft[index] === 0) return;
+                    const units = Math.min(needed, unitsLeft[index]);
+                    parts.push({ index, units, cost: units * line.price });
+                    needed -= units;
+                });
+                return needed === 0;
+            });
+            const regularPrice = parts.reduce((sum, part) => sum + part.cost, 0);
+            const saving = regularPrice - combo.combo_price;
+            if (!isComplete || saving <= 0) break;
+
+            let given = 0;
+            parts.forEach((part, position) => {
+                unitsLeft[part.index] -= part.units;
+                // The last part takes whatever rounding down left over
+                const amount = position === parts.length - 1 ? saving - given : Math.floor(saving * part.cost / regularPrice);
+                given += amount;
+                const key = `${combo.id}:${part.index}`;
+                if (!discounts.has(key)) {
+                    discounts.set(key, { promotionId: combo.id, lineIndex: part.index, label: combo.name, amount: 0 });
+                }
+                discounts.get(key).amount += amount;
+            });
+        }
+    }
+    return Array.from(discounts.values()).filter(discount => discount.amount > 0);
+}
+
+// Helper: the discount a coupon code gives on an order costing orderTotal (after combos).
+// The coupon row stays locked until COMMIT, so its usage limits can't be raced.
+// Throws a message for the student if the code can't be used.
+async function applyCoupon(client, { code, canteenId, userId, orderTotal }) {
+    const result = await client.query(`
+        SELECT p.*, ${PROMOTION_LIVE_SQL} AS is_live, COALESCE(p.starts_at > NOW(), FALSE) AS is_upcoming
+        FROM promotions p
+        WHERE p.canteen_id = $1 AND p.kind = 'coupon' AND p.code = $2
+        FOR UPDATE
+    `, [canteenId, code]);
+    const coupon = result.rows[0];
+    if (!coupon || !coupon.is_active) {
+        throw httpError(400, `Coupon ${code} isn't valid at this canteen.`);
+    }
+    if (!coupon.is_live) {
+        throw httpError(409, coupon.is_upcoming ? `Coupon ${code} can't be used yet.` : `Coupon ${code} has expired.`);
+    }
+    if (orderTotal < coupon.min_order_total) {
+        throw httpError(409, `Coupon ${code} needs an order of at least ₹${coupon.min_order_total}.`);
+    }
+    const limit = await promotionLimitReached(client, coupon, userId);
+    if (limit === 'total') {
+        throw httpError(409, `Sorry, coupon ${code} has been used up.`);
+    }
+    if (limit === 'user') {
+        throw httpError(409, `You've already used coupon ${code} as many times as it allows.`);
+    }
+
+    let amount = coupon.discount_type === 'percent'
+        ? Math.floor(orderTotal * coupon.discount_value / 100)
+        : coupon.discount_value;
+    if (coupon.max_discount !== null) {
+        amount = Math.min(amount, coupon.max_discount);
+    }
+    return {
+        promotionId: coupon.id,
+        lineIndex: null,
+        label: `Coupon ${code} · ${describeDiscount(coupon)}`,
+        amount: Math.min(amount, orderTotal)
+    };
+}
+
+// Helper: every discount on a new order (inside its transaction): combos on the lines
+// first, then the coupon (if any) on what's left. Returns [{ promotionId, lineIndex, label, amount }].
+async function applyPromotions(client, { lines, subtotalPrice, canteenId, userId, couponCode }) {
+    const combos = [];
+    for (const combo of await getLiveCombos(client, canteenId, { lock: true })) {
+        if (!(await promotionLimitReached(client, combo, userId))) combos.push(combo);
+    }
+    const adjustments = applyCombos(lines, combos);
+
+    if (couponCode) {
+        const orderTotal = subtotalPrice - adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+        const coupon = await applyCoupon(client, { code: couponCode, canteenId, userId, orderTotal });
+        if (coupon.amount > 0) adjustments.push(coupon);
+    }
+    return adjustments;
+}
+
+// Helper: read the add coupon/combo form
+function readPromotionForm(body) {
+    const readNumber = (value, label, { min = 1, optional = true } = {}) => {
+        if (value === undefined || value === '') {
+            if (optional) return null;
+            throw httpError(400, `${label} is required.`);
+        }
+        const number = parseInt(value, 10);
+        if (isNaN(number) || number < min) {
+            throw httpError(400, `${label} must be a whole number of at least ${min}.`);
+        }
+        return number;
+    };
+    // datetime-local inputs, in the canteen's timezone
+    const readDateTime = (value, label) => {
+        if (!value) return null;
+        if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+            throw httpError(400, `${label} must be a date and time.`);
+        }
+        return value;
+    };
+
+    const kind = body.kind;
+    const name = (body.name || '').trim();
+    if (!PROMOTION_KINDS.includes(kind)) {
+        throw httpError(400, 'Unknown kind of promotion.');
+    }
+    if (!name) {
+        throw httpError(400, 'Name is required.');
+    }
+    const promotion = {
+        kind,
+        name,
+        startsAt: readDateTime(body.starts_at, 'Start'),
+        endsAt: readDateTime(body.ends_at, 'End'),
+        usageLimit: readNumber(body.usage_limit, 'Total uses'),
+        perUserLimit: readNumber(body.per_user_limit, 'Uses per student'),
+        code: null,
+        discountType: null,
+        discountValue: null,
+        maxDiscount: null,
+        minOrderTotal: 0,
+        comboPrice: null,
+        items: []
+    };
+    if (promotion.startsAt && promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+        throw httpError(400, 'A promotion must end after it starts.');
+    }
+
+    if (kind === 'coupon') {
+        promotion.code = parseCouponCode(body.code);
+        if (!promotion.code || !/^[A-Z0-9_-]{3,30}$/.test(promotion.code)) {
+            throw httpError(400, 'Coupon codes are 3 to 30 letters, digits, "-" or "_".');
+        }
+        if (!['percent', 'flat'].includes(body.discount_type)) {
+            throw httpError(400, 'Choose a percentage or a flat discount.');
+        }
+        promotion.discountType = body.discount_type;
+        promotion.discountValue = readNumber(body.discount_value, 'Discount', { optional: false });
+        if (promotion.discountType === 'percent' && promotion.discountValue > 100) {
+            throw httpError(400, 'A percentage discount can be at most 100%.');
+        }
+        promotion.maxDiscount = promotion.discountType === 'percent' ? readNumber(body.max_discount, 'Maximum discount') : null;
+        promotion.minOrderTotal = readNumber(body.min_order_total, 'Minimum order', { min: 0 }) || 0;
+    } else {
+        promotion.comboPrice = readNumber(body.combo_price, 'Combo price', { min: 0, optional: false });
+        // Rows of the form arrive as parallel arrays; blank rows are skipped
+        const itemIds = [].concat(body.item_id || []);
+        const quantities = [].concat(body.item_quantity || []);
+        const items = new Map();
+        itemIds.forEach((value, index) => {
+            if (!value) return;
+            const itemId = parseInt(value, 10);
+            const quantity = readNumber(quantities[index] || '1', 'Quantity');
+            items.set(itemId, (items.get(itemId) || 0) + quantity);
+        });
+        if (items.size === 0) {
+            throw httpError(400, 'A combo needs at least one item.');
+        }
+        promotion.items = Array.from(items, ([menuItemId, quantity]) => ({ menuItemId, quantity }));
+    }
+    return promotion;
+}
+
+app.get('/staff/promotions', requirePermission('manage_menu'), async (req, res) => {
+    const canteenId = staffCanteenId(req);
+    try {
+        const [promotionResult, itemResult, menuResult] = await Promise.all([
+            db.query(`
+                SELECT p.*, ${PROMOTION_LIVE_SQL} AS is_live,
+                       (SELECT COUNT(DISTINCT o.id) FROM order_adjustments a JOIN orders o ON o.id = a.order_id
+                        WHERE a.promotion_id = p.id AND o.status NOT IN ('Cancelled', 'Rejected'))::int AS times_used,
+                       (SELECT COALESCE(SUM(a.amount), 0) FROM order_adjustments a JOIN orders o ON o.id = a.order_id
+                        WHERE a.promotion_id = p.id AND o.status NOT IN ('Cancelled', 'Rejected'))::int AS total_discount
+                FROM promotions p
+                WHERE p.canteen_id = $1
+                ORDER BY p.kind, p.created_at DESC
+            `, [canteenId]),
+            db.query(`
+                SELECT pi.promotion_id, pi.quantity, m.name
+                FROM promotion_items pi
+                JOIN menu_items m ON m.id = pi.menu_item_id
+                JOIN promotions p ON p.id = pi.promotion_id
+                WHERE p.canteen_id = $1
+                ORDER BY m.name
+            `, [canteenId]),
+            db.query('SELECT id, name, price FROM menu_items WHERE canteen_id = $1 AND deleted_at IS NULL ORDER BY name', [canteenId])
+        ]);
+        const csrf = csrfField(req);
+        const formatDateTime = value => new Date(value).toLocaleString('en-IN', { timeZone: CANTEEN_TIMEZONE, dateStyle: 'medium', timeStyle: 'short' });
+
+        const promotionRows = promotionResult.rows.map(promotion => {
+            const items = itemResult.rows.filter(item => item.promotion_id === promotion.id);
+            const details = promotion.kind === 'coupon'
+                ? html`<code>${promotion.code}</code> · ${describeDiscount(promotion)}${promotion.min_order_total > 0 ? ` on orders of ₹${promotion.min_order_total}+` : ''}`
+                : html`${items.map(item => `${item.quantity} x ${item.name}`).join(' + ')} for ₹${promotion.combo_price}`;
+            const limits = [
+                promotion.usage_limit !== null ? `${promotion.usage_limit} in all` : null,
+                promotion.per_user_limit !== null ? `${promotion.per_user_limit} per student` : null
+            ].filter(Boolean).join(', ');
+            return html`
+                <tr>
+                    <td>
+                        ${promotion.name}
+                        <div class="subtle-text" style="margin: 0;">${promotion.kind === 'coupon' ? 'Coupon' : 'Combo'}</div>
+                    </td>
+                    <td>${details}</td>
+                    <td>
+                        ${promotion.starts_at ? `From ${formatDateTime(promotion.starts_at)}` : 'From now'}<br>
+                        ${promotion.ends_at ? `Until ${formatDateTime(promotion.ends_at)}` : 'No end date'}
+                    </td>
+                    <td>
+                        ${promotion.times_used} order(s) · ₹${promotion.total_discount} off
+                        ${limits ? html`<div class="subtle-text" style="margin: 0;">Limit: ${limits}</div>` : ''}
+                    </td>
+                    <td>${promotion.is_live ? 'Running' : promotion.is_active ? 'Not running now' : 'Switched off'}</td>
+                    <td>
+                        <form action="/staff/promotions/toggle" method="POST" style="display:inline;">
+                            ${csrf}
+                            <input type="hidden" name="id" value="${promotion.id}">
+                            <button type="submit" class="btn btn-secondary">${promotion.is_active ? 'Switch Off' : 'Switch On'}</button>
+                        </form>
+                        <form action="/staff/promotions/delete" method="POST" style="display:inline;" onsubmit="return confirm('Delete this promotion? Orders that used it keep their discount.');">
+                            ${csrf}
+                            <input type="hidden" name="id" value="${promotion.id}">
+                            <button type="submit" class="btn btn-danger">Delete</button>
+                        </form>
+                    </td>
+                </tr>
+            `;
+        });
+
+        const itemOptions = menuResult.rows.map(item => html`<option value="${item.id}">${item.name} (₹${item.price})</option>`);
+        const comboItemRows = Array.from({ length: COMBO_FORM_ROWS }, () => html`
+            <div class="inline-form">
+                <select name="item_id">
+                    <option value="">-</option>
+                    ${itemOptions}
+                </select>
+                <input type="number" name="item_quantity" min="1" value="1" style="width: 70px;">
+            </div>
+        `);
+
+        renderPage(req, res, 'promotions', {
+            title: 'Promotions - Canteen',
+            promotionRows: promotionRows.length > 0 ? promotionRows : html`<tr><td colspan="6">No promotions yet.</td></tr>`,
+            comboItemRows
+        });
+    } catch (err) {
+        console.error('Error loading promotions:', err);
+        res.status(500).send('Error loading page.');
+    }
+});
+
+app.post('/staff/promotions/add', requirePermission('manage_menu'), async (req, res) => {
+    const canteenId = staffCanteenId(req);
+    const client = await db.connect();
+    try {
+        const promotion = readPromotionForm(req.body);
+        await client.query('BEGIN');
+        const result = await client.query(`
+            INSERT INTO promotions (canteen_id, kind, name, code, discount_type, discount_value, max_discount, min_order_total,
+                                    combo_price, starts_at, ends_at, usage_limit, per_user_limit)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::timestamp AT TIME ZONE $14, $11::timestamp AT TIME ZONE $14, $12, $13)
+            RETURNING id
+        `, [
+            canteenId, promotion.kind, promotion.name, promotion.code, promotion.discountType, promotion.discountValue,
+            promotion.maxDiscount, promotion.minOrderTotal, promotion.comboPrice, promotion.startsAt, promotion.endsAt,
+            promotion.usageLimit, promotion.perUserLimit, CANTEEN_TIMEZONE
+        ]);
+        for (const item of promotion.items) {
+            // Only this canteen's menu items can go in its combos
+            const inserted = await client.query(`
+                INSERT INTO promotion_items (promotion_id, menu_item_id, quantity)
+                SELECT $1, id, $3 FROM menu_items WHERE id = $2 AND canteen_id = $4 AND deleted_at IS NULL
+            `, [result.rows[0].id, item.menuItemId, item.quantity, canteenId]);
+            if (inserted.rowCount === 0) {
+                throw httpError(400, 'One of the combo items is not on the menu.');
+            }
+        }
+        await client.query('COMMIT');
+        res.redirect('/staff/promotions');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') {
+            return res.status(409).send('There is already a coupon with that code.');
+        }
+        if (err.status) {
+            return res.status(err.status).send(err.message);
+        }
+        console.error('Error adding promotion:', err);
+        res.status(500).send('Error adding promotion.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/staff/promotions/toggle', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        await db.query('UPDATE promotions SET is_active = NOT is_active WHERE id = $1 AND canteen_id = $2', [req.body.id, staffCanteenId(req)]);
+        res.redirect('/staff/promotions');
+    } catch (err) {
+        console.error('Error switching promotion:', err);
+        res.status(500).send('Error updating promotion.');
+    }
+});
+
+// Orders that used it keep their adjustments (and labels); only the link to it goes
+app.post('/staff/promotions/delete', requirePermission('manage_menu'), async (req, res) => {
+    try {
+        await db.query('DELETE FROM promotions WHERE id = $1 AND canteen_id = $2', [req.body.id, staffCanteenId(req)]);
+        res.redirect('/staff/promotions');
+    } catch (err) {
+        console.error('Error deleting promotion:', err);
+        res.status(500).send('Error deleting promotion.');
+    }
+});
+
+// =================================================================
+// --- NEW: SALES & OPERATIONS REPORTS ---
+// =================================================================
+// Orders that count towards revenue (cancelled/rejected orders were never paid for)
+const REVENUE_STATUSES_SQL = "o.status NOT IN ('Cancelled', 'Rejected')";
+
+// Helper: read ?from=YYYY-MM-DD&to=YYYY-MM-DD, defaulting to the last 7 days
+function parseReportRange(query) {
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(Date.parse(value));
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: CANTEEN_TIMEZONE }); // en-CA gives YYYY-MM-DD
+    const weekAgo = new Date(Date.parse(today) - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const from = query.from === undefined ? weekAgo : query.from;
+    const to = query.to === undefined ? today : query.to;
+    if (!isDate(from) || !isDate(to)) {
+        throw httpError(400, 'Dates must be in YYYY-MM-DD format.');
+    }
+    if (from > to) {
+        throw httpError(400, '"from" must be on or before "to".');
+    }
+    return { from, to };
+}
+
+// Helper: build every report for a canteen and date range (inclusive, by token date)
+async function getSalesReport(from, to, canteenId) {
+    // Prep time = time between "Preparing" and "Ready" in the status history
+    const prepTimesSql = `
+        SELECT o.id, o.token_date, EXTRACT(EPOCH FROM (ready.changed_at - prep.changed_at)) / 60 AS prep_minutes
+        FROM orders o
+        JOIN order_status_history prep ON prep.order_id = o.id AND prep.to_status = 'Preparing'
+        JOIN order_status_history ready ON ready.order_id = o.id AND ready.to_status = 'Ready'
+        WHERE o.canteen_id = $3 AND o.token_date BETWEEN $1 AND $2
+    `;
+
+    const [summary, daily, topItems, busiestHours, promotions] = await Promise.all([
+        db.query(`
+            SELECT COUNT(*)::int AS orders,
+                   COUNT(*) FILTER (WHERE o.status = 'Completed')::int AS completed,
+                   COUNT(*) FILTER (WHERE o.status IN ('Cancelled', 'Rejected'))::int AS cancelled,
+                   COALESCE(SUM(o.total_price) FILTER (WHERE ${REVENUE_STATUSES_SQL}), 0)::int AS revenue,
+                   COALESCE(SUM(o.discount_total) FILTER (WHERE ${REVENUE_STATUSES_SQL}), 0)::int AS discounts,
+                   (SELECT ROUND(AVG(prep_minutes)::numeric, 1)::float FROM (${prepTimesSql}) p) AS avg_prep_minutes
+            FROM orders o
+            WHERE o.canteen_id = $3 AND o.token_date BETWEEN $1 AND $2
+        `, [from, to, canteenId]),
+        db.query(`
+            SELECT o.token_date AS date,
+                   COUNT(*)::int AS orders,
+                   COUNT(*) FILTER (WHERE o.status = 'Completed')::int AS completed,
+                   COUNT(*) FILTER (WHERE o.status IN ('Cancelled', 'Rejected'))::int AS cancelled,
+                   COALESCE(SUM(o.total_price) FILTER (WHERE ${REVENUE_STATUSES_SQL}), 0)::int AS revenue,
+                   COALESCE(SUM(o.discount_total) FILTER (WHERE ${REVENUE_STATUSES_SQL}), 0)::int AS discounts,
+                   (SELECT ROUND(AVG(p.prep_minutes)::numeric, 1)::float FROM (${prepTimesSql}) p WHERE p.token_date = o.token_date) AS avg_prep_minutes
+            FROM orders o
+            WHERE o.canteen_id = $3 AND o.token_date BETWEEN $1 AND $2
+            GROUP BY o.token_date
+            ORDER BY o.token_date
+        `, [from, to, canteenId]),
+        // Revenue is after combo discounts on the line (coupons are on the whole order)
+        db.query(`
+            SELECT item->>'name' AS name,
+                   SUM((item->>'quantity')::int)::int AS quantity,
+                   SUM((item->>'quantity')::int * (item->>'price')::int - COALESCE(line_discount.amount, 0))::int AS revenue
+            FROM orders o
+            CROSS JOIN LATERAL jsonb_array_elements(o.items) WITH ORDINALITY AS line(item, position)
+            LEFT JOIN LATERAL (
+                SELECT SUM(a.amount) AS amount FROM order_adjustments a
+                WHERE a.order_id = o.id AND a.line_index = line.position - 1
+            ) line_discount ON TRUE
+            WHERE o.canteen_id = $3 AND o.token_date BETWEEN $1 AND $2 AND ${REVENUE_STATUSES_SQL}
+            GROUP BY item->>'name'
+            ORDER BY quantity DESC, name
+            LIMIT 20
+        `, [from, to, canteenId]),
+        // created_at has no timezone: it was stored in the DB session's timezone
+        db.query(`
+            SELECT EXTRACT(HOUR FROM (o.created_at AT TIME ZONE current_setting('TimeZone')) AT TIME ZONE $4)::int AS hour,
+                   COUNT(*)::int AS orders
+            FROM orders o
+            WHERE o.canteen_id = $3 AND o.token_date BETWEEN $1 AND $2
+            GROUP BY hour
+            ORDER BY orders DESC, hour
+        `, [from, to, canteenId, CANTEEN_TIMEZONE]),
+        // Deleted promotions still show, under the label their orders kept
+        db.query(`
+            SELECT COALESCE(p.name, a.label) AS name, p.kind,
+                   COUNT(DISTINCT o.id)::int AS orders,
+                   SUM(a.amount)::int AS discount
+            FROM order_adjustments a
+            JOIN orders o ON o.id = a.order_id
+            LEFT JOIN promotions p ON p.id = a.promotion_id
+            WHERE o.canteen_id = $3 AND o.token_date BETWEEN $1 AND $2 AND ${REVENUE_STATUSES_SQL}
+            GROUP BY a.promotion_id, COALESCE(p.name, a.label), p.kind
+            ORDER BY discount DESC, name
+        `, [from, to, canteenId])
+    ]);
+
+    return {
+        from,
+        to,
+        summary: summary.rows[0],
+        daily: daily.rows,
+        topItems: topItems.rows,
+        busiestHours: busiestHours.rows,
+        promotions: promotions.rows
+    };
+}
+
+// Helper: turn rows into CSV text, quoting every value
+function toCsv(rows, columns) {
+    const quote = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+    const lines = [columns.map(quote).join(',')];
+    rows.forEach(row => lines.push(columns.map(column => quote(row[column])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+app.get('/staff/reports', requirePermission('view_reports'), serveView('reports', { title: 'Reports - Canteen' }));
+
+// API: All reports for a date range (for the reports page)
+app.get('/api/staff/reports', requirePermission('view_reports'), async (req, res) => {
+    try {
+        const { from, to } = parseReportRange(req.query);
+        res.json(await getSalesReport(from, to, staffCanteenId(req)));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error building reports:', err);
+        res.status(500).json({ error: 'Failed to build reports' });
+    }
+});
+
+// CSV download of one report: ?report=daily (default), items, hours or promotions
+app.get('/staff/reports/export.csv', requirePermission('view_reports'), async (req, res) => {
+    const exports = {
+        daily: { key: 'daily', columns: ['date', 'orders', 'completed', 'cancelled', 'revenue', 'discounts', 'avg_prep_minutes'] },
+        items: { key: 'topItems', columns: ['name', 'quantity', 'revenue'] },
+        hours: { key: 'busiestHours', columns: ['hour', 'orders'] },
+        promotions: { key: 'promotions', columns: ['name', 'kind', 'orders', 'discount'] }
+    };
+    const chosen = exports[req.query.report || 'daily'];
+    if (!chosen) {
+        return res.status(400).send('Unknown report. Use daily, items, hours or promotions.');
+    }
+
+    try {
+        const { from, to } = parseReportRange(req.query);
+        const report = await getSalesReport(from, to, staffCanteenId(req));
+        res.attachment(`canteen-${req.query.report || 'daily'}-${from}-to-${to}.csv`);
+        res.type('text/csv').send(toCsv(report[chosen.key], chosen.columns));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).send(err.message);
+        }
+        console.error('Error exporting report:', err);
+        res.status(500).send('Error exporting report.');
+    }
+});
+
+// =================================================================
+// --- NEW: "NOW SERVING" DISPLAY BOARD ---
+// =================================================================
+// A read-only board for the TV at the pickup window. It only ever sees
+// token numbers and statuses - no usernames, items or prices.
+// Each canteen has its own board: /display?canteen=<id> (the first canteen if left out).
+const displayIo = io.of('/display');
+
+const hasDisplayAccess = (key) => !DISPLAY_KEY || key === DISPLAY_KEY;
+
+// Helper: the canteen a board is for
+async function resolveDisplayCanteen(value) {
+    const result = await db.query(
+        'SELECT id FROM canteens WHERE id = COALESCE($1, (SELECT MIN(id) FROM canteens))',
+        [parseInt(value, 10) || null]
+    );
+    return result.rows[0] ? result.rows[0].id : null;
+}
+
+// Helper: tell the order's canteen board about a status change
+function emitDisplayUpdate(order) {
+    displayIo.to(`canteen_${order.canteen_id}`).emit('display_update', { token_number: order.token_number, status: order.status });
+}
+
+app.get('/display', (req, res) => {
+    if (!hasDisplayAccess(req.query.key)) {
+        return res.status(403).send('Invalid display key.');
+    }
+    servePage('display.html')(req, res);
+});
+
+// API: Today's Preparing and Ready tokens (for the display board)
+app.get('/api/display', async (req, res) => {
+    if (!hasDisplayAccess(req.query.key)) {
+        return res.status(403).json({ error: 'Invalid display key' });
+    }
+    try {
+        const canteenId = await resolveDisplayCanteen(req.query.canteen);
+        if (!canteenId) {
+            return res.status(404).json({ error: 'Canteen not found' });
+        }
+        const query = `
+            SELECT token_number, status FROM orders
+            WHERE canteen_id = $1 AND status IN ('Preparing', 'Ready') AND archived_at IS NULL
+            ORDER BY token_number
+        `;
+        const result = await db.query(query, [canteenId]);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching display board:', err);
+        res.status(500).json({ error: 'Failed to fetch display board' });
+    }
+});
+
+displayIo.use(async (socket, next) => {
+    if (!hasDisplayAccess(socket.handshake.auth.key)) {
+        return next(new Error('Invalid display key'));
+    }
+    try {
+        socket.data.canteenId = await resolveDisplayCanteen(socket.handshake.auth.canteen);
+        if (!socket.data.canteenId) {
+            return next(new Error('Canteen not found'));
+        }
+        next();
+    } catch (err) {
+        console.error('Error connecting display board:', err);
+        next(new Error('Server error'));
+    }
+});
+
+displayIo.on('connection', (socket) => {
+    socket.join(`canteen_${socket.data.canteenId}`);
+});
+
+// =================================================================
+// --- NEW: PAYMENTS ---
+// =================================================================
+// Every order has a payment_status:
+//   unpaid   - nothing paid yet (pay-at-counter orders stay here until staff mark them paid)
+//   pending  - sent to a payment provider, waiting for its webhook
+//   paid / failed / refunded
+//
+// Orders paid from the student's prepaid balance have payment_provider 'wallet'
+// (see STUDENT WALLET); they are paid the moment they are placed.
+//
+// A payment provider is an object with:
+//   name                           - stored in orders.payment_provider
+//   createCheckout(order)          - returns { reference, redirectUrl } for the student's browser
+//   verifyWebhook(req)             - checks the signature, returns { reference, status: 'paid' | 'failed' }
+//   refund(order)                  - gives the money back (throws if it can't)
+const paymentProviders = {};
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'mock';
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+// The mock gateway lets anyone mark an order paid, so production must use a real provider
+if (IS_PRODUCTION && PAYMENT_PROVIDER === 'mock') {
+    console.error('🔥 PAYMENT_PROVIDER must be a real payment provider in production. Refusing to start with the mock gateway.');
+    process.exit(1);
+}
+
+function registerPaymentProvider(provider) {
+    paymentProviders[provider.name] = provider;
+}
+
+// --- Built-in mock gateway, so the whole flow works locally ---
+// Its checkout page lives at /mock-gateway/checkout/:reference and it calls
+// back into /payments/webhook/mock with an HMAC-signed body, like a real gateway.
+// Never registered (or mounted) in production.
+const MOCK_PAYMENT_SECRET = process.env.MOCK_PAYMENT_SECRET || 'mock-payment-secret';
+
+const signMockPayload = (body) => crypto.createHmac('sha256', MOCK_PAYMENT_SECRET).update(body).digest('hex');
+
+if (!IS_PRODUCTION) registerPaymentProvider({
+    name: 'mock',
+    async createCheckout(order) {
+        const reference = `mock_${crypto.randomBytes(12).toString('hex')}`;
+        return { reference, redirectUrl: `/mock-gateway/checkout/${reference}` };
+    },
+    verifyWebhook(req) {
+        const signature = req.get('X-Mock-Signature') || '';
+        const expected = signMockPayload(req.rawBody || '');
+        if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw httpError(401, 'Invalid webhook signature.');
+        }
+        return { reference: req.body.reference, status: req.body.status };
+    },
+    async refund(order) {
+        console.log(`💸 [mock gateway] Refunded ₹${order.total_price} for payment ${order.payment_ref}`);
+    }
+});
+
+// Online payment is offered only when the configured provider exists (in production
+// there is none until a real one is registered); otherwise students pay at the counter
+// or from their wallet.
+function hasOnlinePayments() {
+    return Boolean(paymentProviders[PAYMENT_PROVIDER]);
+}
+if (!hasOnlinePayments()) {
+    console.warn(`⚠️ No payment provider "${PAYMENT_PROVIDER}" is registered: online payment is switched off.`);
+}
+
+// Helper: create a checkout with the configured provider and remember its reference.
+// Earlier checkouts stay in payment_checkouts, so a late payment on one still finds the order.
+// Returns the URL to send the student to.
+async function startCheckout(order) {
+    const provider = paymentProviders[PAYMENT_PROVIDER];
+    if (!provider) {
+        throw new Error(`Unknown payment provider "${PAYMENT_PROVIDER}"`);
+    }
+    const { reference, redirectUrl } = await provider.createCheckout(order);
+    await db.query(`
+        WITH checkout AS (
+            INSERT INTO payment_checkouts (order_id, provider, reference) VALUES ($3, $1, $2)
+        )
+        UPDATE orders SET payment_status = 'pending', payment_provider = $1, payment_ref = $2 WHERE id = $3
+    `, [provider.name, reference, order.id]);
+    return redirectUrl;
+}
+
+// Helper: refund a paid order that is being cancelled or rejected.
+// Called inside the status-change transaction, so a failed refund also stops the cancellation.
+async function refundOrderPayment(client, order) {
+    // A checkout still open at the provider can no longer pay for the order.
+    // If its money arrives anyway, the webhook refunds it (see below).
+    if (order.payment_status === 'pending') {
+        await client.query("UPDATE orders SET payment_status = 'failed' WHERE id = $1", [order.id]);
+        return;
+    }
+    if (order.payment_status !== 'paid') return;
+
+    if (order.payment_provider === 'wallet' && order.total_price > 0) {
+        // Straight back into the wallet, in the same transaction
+        await recordWalletTransaction(client, {
+            userId: order.user_id,
+            kind: 'refund',
+            amount: order.total_price,
+            orderId: order.id,
+            note: `Token #${order.token_number}`
+        });
+    }
+    const provider = paymentProviders[order.payment_provider];
+    if (provider) {
+        await provider.refund(order);
+        await client.query(
+            "UPDATE payment_checkouts SET status = 'refunded' WHERE provider = $1 AND reference = $2",
+            [order.payment_provider, order.payment_ref]
+        );
+    }
+    // Cash payments ('counter') are handed back by staff
+    await client.query("UPDATE orders SET payment_status = 'refunded' WHERE id = $1", [order.id]);
+}
+
+// Helper: tell the student and staff that an order's payment changed
+async function publishPaymentChange(orderId) {
+    const result = await db.query(`SELECT o.*, ${ORDER_HISTORY_SQL} FROM orders o WHERE o.id = $1`, [orderId]);
+    const order = result.rows[0];
+    emitOrderUpdate(await withQueueInfo(order));
+    io.to(staffRoom(order.canteen_id)).emit('order_payment_update', order);
+}
+
+// Payment provider webhooks
+app.post('/payments/webhook/:provider', async (req, res) => {
+    const provider = paymentProviders[req.params.provider];
+    if (!provider) {
+        return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+    // The order whose payment changed; published once the client is released
+    // (the embedded database has one connection, which the client holds until then)
+    let changedOrderId = null;
+    const client = await db.connect();
+    try {
+        const { reference, status } = provider.verifyWebhook(req);
+        if (status !== 'paid' && status !== 'failed') {
+            return res.status(400).json({ error: 'Unknown payment status' });
+        }
+
+        // Each checkout is settled once (webhooks may be delivered twice). The order is
+        // locked too, so a cancellation can't slip in between the check and the update.
+        await client.query('BEGIN');
+        const checkoutResult = await client.query(
+            "SELECT * FROM payment_checkouts WHERE provider = $1 AND reference = $2 AND status = 'pending' FOR UPDATE",
+            [provider.name, reference]
+        );
+        const checkout = checkoutResult.rows[0];
+        if (checkout) {
+            const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [checkout.order_id]);
+            const order = orderResult.rows[0];
+            const isCurrentCheckout = order.payment_ref === reference;
+            let checkoutStatus = status;
+            let orderPaymentStatus = null;
+
+            if (status === 'failed') {
+                // An earlier checkout failing changes nothing; the latest one is what the order waits on
+                if (isCurrentCheckout && order.payment_status === 'pending') orderPaymentStatus = 'failed';
+            } else if (['Cancelled', 'Rejected'].includes(order.status) || ['paid', 'refunded'].includes(order.payment_status)) {
+                // Paid after the order was called off (its checkout was voided), or paid twice
+                // through two checkouts: give this payment back
+                await provider.refund({ ...order, payment_ref: reference });
+                checkoutStatus = 'refunded';
+                if (order.payment_status !== 'paid') orderPaymentStatus = 'refunded';
+            } else {
+                // Whichever checkout is paid first pays for the order (and is the one refunds go to)
+                orderPaymentStatus = 'paid';
+                await client.query('UPDATE orders SET payment_ref = $1 WHERE id = $2', [reference, order.id]);
+            }
+
+            await client.query('UPDATE payment_checkouts SET status = $1 WHERE id = $2', [checkoutStatus, checkout.id]);
+            if (orderPaymentStatus) {
+                await client.query('UPDATE orders SET payment_status = $1 WHERE id = $2', [orderPaymentStatus, order.id]);
+                changedOrderId = order.id;
+            }
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error handling payment webhook:', err);
+        return res.status(500).json({ error: 'Failed to handle webhook' });
+    } finally {
+        client.release();
+    }
+
+    if (changedOrderId) {
+        await publishPaymentChange(changedOrderId).catch(err => console.error('Error publishing payment change:', err));
+    }
+    res.json({ received: true });
+});
+
+// Student: (re)try paying for an unpaid or failed online order
+app.post('/student/orders/:orderId/pay', requirePermission('place_orders'), async (req, res) => {
+    try {
+        const result = await db.query('SELECT * FROM orders WHERE id = $1 AND user_id = $2', [req.params.orderId, req.session.user.id]);
+        const order = result.rows[0];
+        if (!order) {
+            return res.status(404).send('Order not found.');
+        }
+        if (order.status !== 'Pending' || order.pay_at_counter || !['unpaid', 'pending', 'failed'].includes(order.payment_status)) {
+            return res.status(409).send('This order does not need paying.');
+        }
+        if (!hasOnlinePayments()) {
+            return res.status(409).send('Online payment is not available. Please pay at the counter when you collect.');
+        }
+        res.redirect(await startCheckout(order));
+    } catch (err) {
+        console.error('Error starting payment:', err);
+        res.status(500).send('Error starting payment.');
+    }
+});
+
+// Staff: cash received for a pay-at-counter order
+app.post('/staff/orders/mark-paid', requirePermission('manage_orders'), async (req, res) => {
+    const { orderId } = req.body;
+    try {
+        const result = await db.query(
+            "UPDATE orders SET payment_status = 'paid', payment_provider = 'counter' WHERE id = $1 AND canteen_id = $2 AND pay_at_counter AND payment_status = 'unpaid' RETURNING id",
+            [orderId, staffCanteenId(req)]
+        );
+        if (result.rows.length === 0) {
+            return res.status(409).send('Only unpaid pay-at-counter orders can be marked paid.');
+        }
+        await publishPaymentChange(orderId);
+        res.redirect('/staffdashboard');
+    } catch (err) {
+        console.error('Error marking order paid:', err);
+        res.status(500).send('Error marking order paid.');
+    }
+});
+
+// --- Mock gateway pages (not in production) ---
+const mockGateway = express.Router();
+if (!IS_PRODUCTION) app.use('/mock-gateway', mockGateway);
+
+mockGateway.get('/checkout/:reference', servePage('mock-checkout.html'));
+
+// API: What the mock checkout page is paying for (payment_status is the checkout's own)
+mockGateway.get('/api/checkout/:reference', async (req, res) => {
+    try {
+        const result = await db.query(`
+            SELECT o.id, o.token_number, o.total_price, c.status AS payment_status
+            FROM payment_checkouts c
+            JOIN orders o ON o.id = c.order_id
+            WHERE c.provider = 'mock' AND c.reference = $1
+        `, [req.params.reference]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Checkout not found' });
+        }
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error('Error fetching mock checkout:', err);
+        res.status(500).json({ error: 'Failed to fetch checkout' });
+    }
+});
+
+// The "customer" pays (or fails to). Like a real gateway, the result is
+// delivered to the app's webhook, then the browser is sent back to the token page.
+mockGateway.post('/checkout/:reference', async (req, res) => {
+    const { reference } = req.params;
+    const status = req.body.outcome === 'fail' ? 'failed' : 'paid';
+    try {
+        const result = await db.query("SELECT order_id AS id FROM payment_checkouts WHERE provider = 'mock' AND reference = $1", [reference]);
+        if (result.rows.length === 0) {
+            return res.status(404).send('Checkout not found.');
+        }
+
+        const body = JSON.stringify({ reference, status });
+        const response = await fetch(`http://127.0.0.1:${PORT}/payments/webhook/mock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Mock-Signature': signMockPayload(body) },
+            body
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook returned ${response.status}`);
+        }
+        res.redirect(`/student/token/${result.rows[0].id}`);
+    } catch (err) {
+        console.error('Error in mock gateway checkout:', err);
+        res.status(500).send('Mock gateway error.');
+    }
+});
+
+// =================================================================
+// --- NEW: STUDENT WALLET ---
+// =================================================================
+// Students top up with cash at the counter and pay for orders from the balance.
+// Every change goes through recordWalletTransaction, which writes a ledger row
+// and moves users.wallet_balance in the same statement pair.
+const MAX_WALLET_TOPUP = 5000; // Largest single cash top-up, to catch typos
+const WALLET_HISTORY_LIMIT = 50;
+
+// Helper: add (positive amount) or take (negative amount) money from a wallet.
+// Must run inside the caller's transaction. Throws a 409 if the balance would go below zero.
+async function recordWalletTransaction(client, { userId, kind, amount, orderId = null, note = null, createdBy = null }) {
+    const result = await client.query(
+        'UPDATE users SET wallet_balance = wallet_balance + $2 WHERE id = $1 AND wallet_balance + $2 >= 0 RETURNING wallet_balance',
+        [userId, amount]
+    );
+    if (result.rows.length === 0) {
+        throw httpError(409, `Not enough money in your wallet for this order (₹${-amount} needed).`);
+    }
+    const balanceAfter = result.rows[0].wallet_balance;
+    await client.query(`
+        INSERT INTO wallet_transactions (user_id, kind, amount, balance_after, order_id, note, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [userId, kind, amount, balanceAfter, orderId, note, createdBy]);
+    return balanceAfter;
+}
+
+// Student: balance and history page
+app.get('/student/wallet', requirePermission('place_orders'), serveView('wallet', { title: 'My Wallet' }));
+
+// API: the student's balance and latest transactions
+app.get('/api/student/wallet', requirePermission('place_orders'), async (req, res) => {
+    try {
+        const [balanceResult, historyResult] = await Promise.all([
+            db.query('SELECT wallet_balance FROM users WHERE id = $1', [req.session.user.id]),
+            db.query(`
+                SELECT w.id, w.kind, w.amount, w.balance_after, w.note, w.created_at, o.token_number
+                FROM wallet_transactions w
+                LEFT JOIN orders o ON w.order_id = o.id
+                WHERE w.user_id = $1
+                ORDER BY w.id DESC
+                LIMIT $2
+            `, [req.session.user.id, WALLET_HISTORY_LIMIT])
+        ]);
+        res.json({ balance: balanceResult.rows[0].wallet_balance, transactions: historyResult.rows });
+    } catch (err) {
+        console.error('Error fetching wallet:', err);
+        res.status(500).json({ error: 'Failed to fetch wallet' });
+    }
+});
+
+// Staff: record cash handed over at the counter as a top-up
+app.post('/staff/wallet/top-up', requirePermission('top_up_wallets'), async (req, res) => {
+    const { userId } = req.body;
+    const amount = Number(req.body.amount);
+    const note = (req.body.note || '').trim() || null;
+    if (!Number.isInteger(amount) || amount <= 0 || amount > MAX_WALLET_TOPUP) {
+        return res.status(400).send(`Top-ups must be a whole number of rupees between 1 and ${MAX_WALLET_TOPUP}.`);
+    }
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const student = await client.query("SELECT id FROM users WHERE id = $1 AND role = 'student' AND disabled_at IS NULL", [userId]);
+        if (student.rows.length === 0) {
+            throw httpError(404, 'Student not found.');
+        }
+        await recordWalletTransaction(client, { userId, kind: 'topup', amount, note, createdBy: req.session.user.id });
+        await client.query('COMMIT');
+        res.redirect('/staff/manage-users');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.status) {
+            return res.status(err.status).send(err.message);
+        }
+        console.error('Error topping up wallet:', err);
+        res.status(500).send('Error topping up wallet.');
+    } finally {
+        client.release();
+    }
+});
+
+// =================================================================
+// --- NEW: NOTIFICATIONS (WEB PUSH, EMAIL, SMS) ---
+// =================================================================
+// When staff move an order on, the student is told on every channel they've
+// switched on for that event. Each delivery is a row in notification_outbox;
+// processNotificationOutbox sends the due ones and retries failures with backoff.
+//
+// A channel is an object with:
+//   name                           - stored in notification_outbox.channel
+//   destinations(user, prefs)      - where this user's messages go (push endpoints, email, phone)
+//   deliver(destination, payload)  - sends { title, body, url }; throws to retry later.
+//                                    Throw an error with .permanent = true to give up at once.
+const NOTIFICATION_EVENTS = {
+    Preparing: 'Your order is being prepared',
+    Ready: 'Your order is ready to collect',
+    Rejected: 'Your order was rejected'
+};
+const DEFAULT_NOTIFICATION_PREFS = { events: ['Ready'], channels: ['push'], phone: null };
+const NOTIFICATION_MAX_ATTEMPTS = 5; // Then the delivery is marked failed
+const notificationChannels = {};
+
+function registerNotificationChannel(channel) {
+    notificationChannels[channel.name] = channel;
+}
+
+// --- Web Push ---
+// Keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY. Without them (development) a key pair
+// is generated once and kept in .vapid-keys.json, so browser subscriptions survive restarts.
+const VAPID_KEYS_FILE = path.join(__dirname, '.vapid-keys.json');
+const vapidKeys = (() => {
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        return { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+    }
+    if (fs.existsSync(VAPID_KEYS_FILE)) {
+        return JSON.parse(fs.readFileSync(VAPID_KEYS_FILE, 'utf8'));
+    }
+    const keys = webpush.generateVAPIDKeys();
+    fs.writeFileSync(VAPID_KEYS_FILE, JSON.stringify(keys));
+    console.warn(`⚠️ No VAPID keys set; generated a development pair in ${VAPID_KEYS_FILE}.`);
+    return keys;
+})();
+webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:admin@callmyturn.local', vapidKeys.publicKey, vapidKeys.privateKey);
+
+registerNotificationChannel({
+    name: 'push',
+    async destinations(user) {
+        const result = await db.query('SELECT endpoint FROM push_subscriptions WHERE user_id = $1', [user.id]);
+        return result.rows.map(row => row.endpoint);
+    },
+    async deliver(endpoint, payload) {
+        const result = await db.query('SELECT endpoint, p256dh, auth FROM push_subscriptions WHERE endpoint = $1', [endpoint]);
+        if (result.rows.length === 0) {
+            throw Object.assign(new Error('Browser unsubscribed'), { permanent: true });
+        }
+        const { p256dh, auth } = result.rows[0];
+        try {
+            await webpush.sendNotification({ endpoint, keys: { p256dh, auth } }, JSON.stringify(payload));
+        } catch (err) {
+            // 404/410: the browser dropped the subscription, so stop using it
+            if (err.statusCode === 404 || err.statusCode === 410) {
+                await db.query('DELETE FROM push_subscriptions WHERE endpoint = $1', [endpoint]);
+                err.permanent = true;
+            }
+            throw err;
+        }
+    }
+});
+
+// --- Email, through the mail transport from ACCOUNT SECURITY ---
+registerNotificationChannel({
+    name: 'email',
+    async destinations(user) {
+        return user.email ? [user.email] : [];
+    },
+    async deliver(email, payload) {
+        await sendMail({ to: email, subject: payload.title, text: `${payload.body}\n\n${payload.url}` });
+    }
+});
+
+// --- SMS ---
+// An SMS transport is an object with:
+//   name                           - picked with the SMS_TRANSPORT environment variable
+//   send({ to, text })             - sends the message (throws if it can't)
+// The built-in "console" transport just logs, for development.
+const smsTransports = {};
+const SMS_TRANSPORT = process.env.SMS_TRANSPORT || 'console';
+
+function registerSmsTransport(transport) {
+    smsTransports[transport.name] = transport;
+}
+
+registerSmsTransport({
+    name: 'console',
+    async send(message) {
+        console.log(`📱 [sms] to ${message.to}: ${message.text}`);
+    }
+});
+
+registerNotificationChannel({
+    name: 'sms',
+    async destinations(user, prefs) {
+        return prefs.phone ? [prefs.phone] : [];
+    },
+    async deliver(phone, payload) {
+        const transport = smsTransports[SMS_TRANSPORT];
+        if (!transport) {
+            throw new Error(`Unknown SMS transport "${SMS_TRANSPORT}"`);
+        }
+        await transport.send({ to: phone, text: `${payload.title}. ${payload.body}` });
+    }
+});
+
+// Helper: a student's notification settings (defaults if they never saved any)
+async function getNotificationPrefs(userId) {
+    const result = await db.query('SELECT events, channels, phone FROM notification_preferences WHERE user_id = $1', [userId]);
+    return result.rows[0] || DEFAULT_NOTIFICATION_PREFS;
+}
+
+// Helper: what to say about an order that just reached a status
+function notificationPayload(order, baseUrl) {
+    const messages = {
+        Preparing: [`Token #${order.token_number} is being prepared`, 'The kitchen has started on your order.'],
+        Ready: [`Token #${order.token_number} is ready!`, 'Please collect it from the counter.'],
+        Rejected: [`Token #${order.token_number} was rejected`, order.status_reason ? `Reason: ${order.status_reason}` : 'Please ask at the counter.']
+    };
+    const [title, body] = messages[order.status];
+    return { title, body, url: `${baseUrl}/student/token/${order.id}` };
+}
+
+// Queue a message on each channel the student wants for this status, then try sending
+async function queueStatusNotifications(order, baseUrl) {
+    if (!NOTIFICATION_EVENTS[order.status]) return;
+
+    const userResult = await db.query('SELECT id, email FROM users WHERE id = $1', [order.user_id]);
+    const user = userResult.rows[0];
+    const prefs = await getNotificationPrefs(user.id);
+    if (!prefs.events.includes(order.status)) return;
+
+    const payload = notificationPayload(order, baseUrl);
+    for (const channelName of prefs.channels) {
+        const channel = notificationChannels[channelName];
+        if (!channel) continue;
+        for (const destination of await channel.destinations(user, prefs)) {
+            await db.query(
+                'INSERT INTO notification_outbox (user_id, order_id, channel, destination, payload) VALUES ($1, $2, $3, $4, $5)',
+                [user.id, order.id, channelName, destination, payload]
+            );
+        }
+    }
+    await processNotificationOutbox();
+}
+
+// Send every due delivery. Rows are claimed by pushing next_attempt_at forward first,
+// so an overlapping run (the cron and a status change at once) won't send them twice.
+async function processNotificationOutbox() {
+    const claimed = await db.query(`
+        UPDATE notification_outbox SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+        WHERE id IN (
+            SELECT id FROM notification_outbox
+            WHERE status = 'pending' AND next_attempt_at <= NOW()
+            ORDER BY id
+            LIMIT 50
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `);
+    for (const entry of claimed.rows) {
+        try {
+            const channel = notificationChannels[entry.channel];
+            if (!channel) {
+                throw Object.assign(new Error(`Unknown notification channel "${entry.channel}"`), { permanent: true });
+            }
+            await channel.deliver(entry.destination, entry.payload);
+            await db.query("UPDATE notification_outbox SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), last_error = NULL WHERE id = $1", [entry.id]);
+        } catch (err) {
+            // Back off 1, 2, 4, 8... minutes between tries
+            const attempts = entry.attempts + 1;
+            const giveUp = err.permanent || attempts >= NOTIFICATION_MAX_ATTEMPTS;
+            await db.query(`
+                UPDATE notification_outbox
+                SET attempts = $2, last_error = $3, status = $4, next_attempt_at = NOW() + make_interval(mins => $5)
+                WHERE id = $1
+            `, [entry.id, attempts, String(err.message || err), giveUp ? 'failed' : 'pending', 2 ** (attempts - 1)]);
+            if (giveUp) {
+                console.error(`Notification ${entry.id} (${entry.channel}) failed for good:`, err.message || err);
+            }
+        }
+    }
+}
+
+// Retry anything that failed earlier
+cron.schedule('* * * * *', () => {
+    processNotificationOutbox().catch(err => console.error('Error processing notification outbox:', err));
+}, {
+    scheduled: true,
+    timezone: CANTEEN_TIMEZONE
+});
+
+// Student: notification settings page
+app.get('/student/notifications', requirePermission('place_orders'), serveView('notifications', { title: 'Notifications' }));
+
+// API: the student's settings, plus what the page needs to subscribe this browser
+app.get('/api/student/notifications', requirePermission('place_orders'), async (req, res) => {
+    try {
+        const [prefs, userResult, subscriptionResult] = await Promise.all([
+            getNotificationPrefs(req.session.user.id),
+            db.query('SELECT email FROM users WHERE id = $1', [req.session.user.id]),
+            db.query('SELECT COUNT(*)::int AS count FROM push_subscriptions WHERE user_id = $1', [req.session.user.id])
+        ]);
+        res.json({
+            ...prefs,
+            email: userResult.rows[0].email,
+            pushSubscriptions: subscriptionResult.rows[0].count,
+            vapidPublicKey: vapidKeys.publicKey,
+            availableEvents: NOTIFICATION_EVENTS,
+            availableChannels: Object.keys(notificationChannels)
+        });
+    } catch (err) {
+        console.error('Error fetching notification settings:', err);
+        res.status(500).json({ error: 'Failed to fetch notification settings' });
+    }
+});
+
+app.post('/student/notifications', requirePermission('place_orders'), async (req, res) => {
+    // Checkboxes arrive as a string (one ticked), an array (several) or not at all
+    const asList = (value) => [].concat(value || []);
+    const events = asList(req.body.events).filter(event => NOTIFICATION_EVENTS[event]);
+    const channels = asList(req.body.channels).filter(channel => notificationChannels[channel]);
+    const phone = (req.body.phone || '').trim() || null;
+    if (phone && !/^\+?[0-9 -]{7,20}$/.test(phone)) {
+        return res.status(400).send('Please enter a valid phone number.');
+    }
+    try {
+        await db.query(`
+            INSERT INTO notification_preferences (user_id, events, channels, phone)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (user_id) DO UPDATE SET events = $2, channels = $3, phone = $4
+        `, [req.session.user.id, events, channels, phone]);
+        res.redirect('/student/notifications?saved=1');
+    } catch (err) {
+        console.error('Error saving notification settings:', err);
+        res.status(500).send('Error saving notification settings.');
+    }
+});
 
+// API: remember (or forget) this browser's push subscription
+app.post('/api/student/push-subscriptions', requirePermission('place_orders'), async (req, res) => {
+    const { endpoint, keys } = req.body || {};
+    if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) || !keys || !keys.p256dh || !keys.auth) {
+        return res.status(400).json({ error: 'Invalid push subscription' });
+    }
+    try {
+        await db.query(`
+            INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (endpoint) DO UPDATE SET user_id = $1, p256dh = $3, auth = $4
+        `, [req.session.user.id, endpoint, keys.p256dh, keys.auth]);
+        res.status(201).json({ subscribed: true });
     } catch (err) {
-        console.error('Error loading staff dashboard:', err);
-        res.status(500).send('Error loading page.');
+        console.error('Error saving push subscription:', err);
+        res.status(500).json({ error: 'Failed to save subscription' });
     }
 });
 
-// Helper function to build order card HTML
-function buildOrderCard(order) {
-    let itemsHtml = '<ul>';
-    order.items.forEach(item => {
-        itemsHtml += `<li>${item.quantity} x ${item.name}</li>`;
-    });
-    itemsHtml += '</ul>';
+app.delete('/api/student/push-subscriptions', requirePermission('place_orders'), async (req, res) => {
+    try {
+        await db.query('DELETE FROM push_subscriptions WHERE user_id = $1 AND endpoint = $2', [req.session.user.id, (req.body || {}).endpoint]);
+        res.json({ subscribed: false });
+    } catch (err) {
+        console.error('Error removing push subscription:', err);
+        res.status(500).json({ error: 'Failed to remove subscription' });
+    }
+});
 
-    const isPending = order.status === 'Pending';
-    const isPreparing = order.status === 'Preparing';
-    const isReady = order.status === 'Ready';
+// =================================================================
+// --- NEW: RATINGS & FEEDBACK ---
+// =================================================================
+// Students rate an order they placed once it is Completed (1-5 stars plus an optional
+// comment), and can rate each item in it too. Rating again replaces the earlier rating.
+// Item averages show on the menu; staff read everything in the feedback inbox.
+const LOW_RATING = 2; // Ratings at or below this are flagged for staff
+const FEEDBACK_COMMENT_MAX = 1000;
+const FEEDBACK_INBOX_LIMIT = 200;
 
-    return `
-        <div class="card order-card card-status-${order.status.toLowerCase()}">
-            <div class="order-card-header">
-                <h4>Token #${order.id}</h4>
-                <span>User: ${order.username}</span>
-            </div>
-            <div class="order-card-body">
-                ${itemsHtml}
-            </div>
-            <div class="order-card-footer">
-                <strong>Total: ₹${order.total_price}</strong>
-                <div class="order-card-actions">
-                    <form action="/staff/update-status" method="POST" style="display: inline;">
-                        <input type="hidden" name="orderId" value="${order.id}">
-                        <input type="hidden" name="newStatus" value="Preparing">
-                        <button type="submit" class="btn btn-status-prep" ${!isPending ? 'disabled' : ''}>
-                            <i class="fas fa-hourglass-start"></i> Start Prep
-                        </button>
-                    </form>
-                    <form action="/staff/update-status" method="POST" style="display: inline;">
-                        <input type="hidden" name="orderId" value="${order.id}">
-                        <input type="hidden" name="newStatus" value="Ready">
-                        <button type="submit" class="btn btn-status-ready" ${!isPreparing ? 'disabled' : ''}>
-                            <i class="fas fa-bell"></i> Mark Ready
-                        </button>
-                    </form>
-                    <form action="/staff/update-status" method="POST" style="display: inline;">
-                        <input type="hidden" name="orderId" value="${order.id}">
-                        <input type="hidden" name="newStatus" value="Completed">
-                        <button type="submit" class="btn btn-status-done" ${!isReady ? 'disabled' : ''}>
-                            <i class="fas fa-check-circle"></i> Mark Completed
-                        </button>
-                    </form>
-                </div>
-            </div>
-        </div>
-    `;
+// SQL fragment: average rating and number of ratings per menu item
+const ITEM_RATINGS_SQL = `
+    SELECT menu_item_id, ROUND(AVG(rating), 1)::float AS average_rating, COUNT(*)::int AS rating_count
+    FROM item_ratings GROUP BY menu_item_id
+`;
+
+// SQL fragment: the feedback already left on order "o" (null if none), for "My Orders"
+const ORDER_FEEDBACK_SQL = `
+    (SELECT json_build_object(
+                'rating', f.rating,
+                'comment', f.comment,
+                'items', COALESCE((SELECT json_object_agg(r.menu_item_id, json_build_object('rating', r.rating, 'comment', r.comment))
+                                   FROM item_ratings r WHERE r.order_id = f.order_id), '{}'))
+     FROM order_feedback f WHERE f.order_id = o.id) AS feedback
+`;
+
+// Helper: a 1-5 star rating from the request
+function readRating(value) {
+    const rating = Number(value);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        throw httpError(400, 'Ratings must be from 1 to 5 stars.');
+    }
+    return rating;
 }
 
-// Staff: Update Order Status
-// --- UPDATED to use isStaff ---
-app.post('/staff/update-status', isStaff, async (req, res) => {
-    const { orderId, newStatus } = req.body;
+function readComment(value) {
+    const comment = typeof value === 'string' ? value.trim() : '';
+    if (comment.length > FEEDBACK_COMMENT_MAX) {
+        throw httpError(400, `Comments can be at most ${FEEDBACK_COMMENT_MAX} characters.`);
+    }
+    return comment || null;
+}
+
+// Rate one of your own completed orders. Body (JSON):
+// { rating, comment, items: [{ id, rating, comment }] } - item ratings are optional.
+app.post('/student/orders/:orderId/feedback', requirePermission('place_orders'), async (req, res) => {
+    const client = await db.connect();
     try {
-        const query = 'UPDATE orders SET status = $1 WHERE id = $2 RETURNING *';
-        const result = await db.query(query, [newStatus, orderId]);
+        const rating = readRating(req.body.rating);
+        const comment = readComment(req.body.comment);
+        const itemRatings = [].concat(req.body.items || []).map(item => {
+            if (!item || typeof item !== 'object') {
+                throw httpError(400, 'Each item rating must be an object with an id and a rating.');
+            }
+            return {
+                id: Number(item.id),
+                rating: readRating(item.rating),
+                comment: readComment(item.comment)
+            };
+        });
 
-        if (result.rows.length > 0) {
-            // Emit status update to the specific student's "room"
-            const updatedOrder = result.rows[0];
-            const studentRoom = `user_${updatedOrder.user_id}`;
-            io.to(studentRoom).emit('order_status_update', updatedOrder);
-            
-            // Also emit to a general 'token' room for the token page
-            const tokenRoom = `order_${orderId}`;
-            io.to(tokenRoom).emit('order_status_update', updatedOrder);
+        const orderResult = await client.query('SELECT id, canteen_id, status, items FROM orders WHERE id = $1 AND user_id = $2', [req.params.orderId, req.session.user.id]);
+        const order = orderResult.rows[0];
+        if (!order) {
+            throw httpError(404, 'Order not found.');
         }
-        res.redirect('/staffdashboard');
+        if (order.status !== 'Completed') {
+            throw httpError(409, 'You can rate an order once you have collected it.');
+        }
+        // Only items that were actually in this order, each rated once
+        const orderedIds = new Set(order.items.map(item => item.id));
+        const ratedIds = new Set();
+        for (const item of itemRatings) {
+            if (!orderedIds.has(item.id) || ratedIds.has(item.id)) {
+                throw httpError(400, 'You can only rate items that were in this order.');
+            }
+            ratedIds.add(item.id);
+        }
+
+        await client.query('BEGIN');
+        await client.query(`
+            INSERT INTO order_feedback (order_id, user_id, canteen_id, rating, comment)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (order_id) DO UPDATE SET rating = EXCLUDED.rating, comment = EXCLUDED.comment, updated_at = NOW()
+        `, [order.id, req.session.user.id, order.canteen_id, rating, comment]);
+        await client.query('DELETE FROM item_ratings WHERE order_id = $1', [order.id]);
+        for (const item of itemRatings) {
+            await client.query(
+                'INSERT INTO item_ratings (order_id, menu_item_id, rating, comment) VALUES ($1, $2, $3, $4)',
+                [order.id, item.id, item.rating, item.comment]
+            );
+        }
+        await client.query('COMMIT');
+
+        // Same shape as "feedback" in /api/student/my-orders
+        res.json({ rating, comment, items: Object.fromEntries(itemRatings.map(item => [item.id, { rating: item.rating, comment: item.comment }])) });
     } catch (err) {
-        console.error('Error updating status:', err);
-        res.status(500).send('Error updating status.');
+        await client.query('ROLLBACK');
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error saving feedback:', err);
+        res.status(500).json({ error: 'Failed to save feedback' });
+    } finally {
+        client.release();
     }
 });
 
+// Staff feedback inbox
+app.get('/staff/feedback', requirePermission('view_reports'), serveView('feedback', { title: 'Feedback - Canteen' }));
 
-// --- Menu Management Routes ---
-// --- UPDATED to use isStaff ---
-app.get('/staff/manage-menu', isStaff, async (req, res) => {
-    const fullPath = path.join(__dirname, 'public', 'manage-menu.html');
-    try {
-        const result = await db.query('SELECT * FROM menu_items ORDER BY id');
-        let tableRows = '';
-        result.rows.forEach(item => {
-            tableRows += `
-                <tr>
-                    <td>${item.id}</td>
-                    <td><img src="${item.image_url}" alt="${item.name}" class="menu-item-thumbnail"></td>
-                    <td>${item.name}</td>
-                    <td>₹${item.price}</td>
-                    <td>${item.is_available == 1 ? 'Yes' : 'No'}</td>
-                    <td>
-                        <form action="/staff/menu/toggle" method="POST" style="display:inline;">
-                            <input type="hidden" name="id" value="${item.id}">
-                            <input type="hidden" name="current_status" value="${item.is_available}">
-                            <button type="submit" class="btn btn-secondary">
-                                ${item.is_available == 1 ? 'Make Unavailable' : 'Make Available'}
-                            </button>
-                        </form>
-                    </td>
-                </tr>
-            `;
-        });
-        
-        fs.readFile(fullPath, 'utf8', (err, html) => {
-            if (err) throw err;
-            const finalHtml = html.replace('', tableRows);
-            res.send(finalHtml);
+// API: feedback for the staff member's canteen, newest first.
+// ?from= / ?to= (YYYY-MM-DD, default the last 7 days), ?item=<menu item id>, ?flagged=1 for low ratings only.
+app.get('/api/staff/feedback', requirePermission('view_reports'), async (req, res) => {
+    try {
+        const { from, to } = parseReportRange(req.query);
+        const itemId = req.query.item ? parseInt(req.query.item, 10) || 0 : null;
+        const flaggedOnly = req.query.flagged === '1';
+        const canteenId = staffCanteenId(req);
+
+        const result = await db.query(`
+            SELECT * FROM (
+                SELECT f.order_id, f.rating, f.comment, f.created_at, f.updated_at, o.token_number, o.token_date, u.username,
+                       COALESCE(json_agg(json_build_object('id', r.menu_item_id, 'name', m.name, 'rating', r.rating, 'comment', r.comment)
+                                ORDER BY m.name) FILTER (WHERE r.menu_item_id IS NOT NULL), '[]') AS items,
+                       (f.rating <= $5 OR COALESCE(MIN(r.rating) <= $5, false)) AS is_flagged
+                FROM order_feedback f
+                JOIN orders o ON o.id = f.order_id
+                JOIN users u ON u.id = f.user_id
+                LEFT JOIN item_ratings r ON r.order_id = f.order_id
+                LEFT JOIN menu_items m ON m.id = r.menu_item_id
+                WHERE f.canteen_id = $1 AND (f.created_at AT TIME ZONE $4)::date BETWEEN $2 AND $3
+                  AND ($6::int IS NULL OR EXISTS (SELECT 1 FROM item_ratings ir WHERE ir.order_id = f.order_id AND ir.menu_item_id = $6))
+                GROUP BY f.order_id, o.id, u.id
+            ) feedback
+            WHERE NOT $7 OR is_flagged
+            ORDER BY created_at DESC
+            LIMIT $8
+        `, [canteenId, from, to, CANTEEN_TIMEZONE, LOW_RATING, itemId, flaggedOnly, FEEDBACK_INBOX_LIMIT]);
+
+        // Every item that has ever been rated here, with its average, for the filter and summary
+        const itemResult = await db.query(`
+            SELECT m.id, m.name, r.average_rating, r.rating_count
+            FROM menu_items m
+            JOIN (${ITEM_RATINGS_SQL}) r ON r.menu_item_id = m.id
+            WHERE m.canteen_id = $1
+            ORDER BY m.name
+        `, [canteenId]);
+
+        res.json({
+            from,
+            to,
+            low_rating: LOW_RATING,
+            feedback: result.rows,
+            flagged_count: result.rows.filter(entry => entry.is_flagged).length,
+            items: itemResult.rows
         });
     } catch (err) {
-        console.error('Error loading menu management:', err);
-        res.status(500).send('Error loading page.');
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error fetching feedback:', err);
+        res.status(500).json({ error: 'Failed to fetch feedback' });
     }
 });
 
-// --- UPDATED to use isStaff ---
-app.post('/staff/menu/add', isStaff, async (req, res) => {
-    const { name, price, image_url } = req.body;
+// =================================================================
+// --- NEW: ORDER HISTORY, REORDER & FAVOURITES ---
+// =================================================================
+// "My Orders" pages through every order a student has placed. "Order Again" rebuilds
+// the cart of a past order from today's menu, and favourite items are listed first.
+const ORDER_HISTORY_PAGE_SIZE = 20;
+
+// Helper: find the current option of a group by the names stored on an old order line.
+// Orders keep { group, name, price_delta } rather than ids, since options can be edited later.
+function findCurrentOption(groups, modifier) {
+    const group = groups.find(candidate => candidate.name === modifier.group);
+    return group ? group.options.find(option => option.name === modifier.name) : undefined;
+}
+
+// Rebuild the cart of one of your own past orders. Nothing is placed - the student reviews
+// the cart on the menu page first. Items that can't be ordered right now are left out, and
+// every difference from the original order (missing items or options, fewer left, new prices)
+// is listed in "problems". Switches the student to the order's canteen.
+app.post('/student/orders/:orderId/reorder', requirePermission('place_orders'), async (req, res) => {
     try {
-        const query = 'INSERT INTO menu_items (name, price, image_url, is_available) VALUES ($1, $2, $3, 1)';
-        await db.query(query, [name, price, image_url]);
-        res.redirect('/staff/manage-menu');
+        const orderResult = await db.query('SELECT id, canteen_id, items FROM orders WHERE id = $1 AND user_id = $2', [req.params.orderId, req.session.user.id]);
+        const order = orderResult.rows[0];
+        if (!order) {
+            throw httpError(404, 'Order not found.');
+        }
+        const canteen = await getCanteen(order.canteen_id);
+        if (!canteen) {
+            throw httpError(409, 'The canteen this order was from is no longer taking orders.');
+        }
+
+        const ids = Array.from(new Set(order.items.map(line => line.id)));
+        const itemResult = await db.query(
+            `SELECT m.id, m.name, m.price, m.is_available, m.daily_stock, m.stock_remaining, ${ITEM_IN_SCHEDULE_SQL} AS in_schedule
+             FROM menu_items m WHERE m.id = ANY($1) AND m.canteen_id = $2 AND m.deleted_at IS NULL`,
+            [ids, canteen.id]
+        );
+        const menuItems = new Map(itemResult.rows.map(item => [item.id, item]));
+        const modifierGroups = await getModifierGroups(db, ids);
+
+        const problems = [];
+        const lines = [];
+        // Stock left per item, shared by lines of the same item with different options
+        const stockLeft = new Map();
+        for (const past of order.items) {
+            const item = menuItems.get(past.id);
+            if (!item) {
+                problems.push(`${past.name} is no longer on the menu.`);
+                continue;
+            }
+            if (item.daily_stock !== null && item.stock_remaining <= 0) {
+                problems.push(`${item.name} is sold out for today.`);
+                continue;
+            }
+            if (item.is_available != 1) {
+                problems.push(`${item.name} is not available right now.`);
+                continue;
+            }
+            if (!item.in_schedule) {
+                problems.push(`${item.name} isn't being served at this time of day.`);
+                continue;
+            }
+
+            const groups = modifierGroups.get(item.id) || [];
+            const options = [];
+            (past.modifiers || []).forEach(modifier => {
+                const option = findCurrentOption(groups, modifier);
+                if (option) {
+                    options.push(option);
+                } else {
+                    problems.push(`${modifier.name} (${modifier.group}) is no longer available for ${item.name}.`);
+                }
+            });
+            let unitPrice;
+            try {
+                ({ unitPrice } = priceModifiers(item, groups, options.map(option => option.id)));
+            } catch (err) {
+                // e.g. a required choice that didn't exist when the order was placed
+                problems.push(`${err.message} It was left out.`);
+                continue;
+            }
+
+            let quantity = past.quantity;
+            if (item.daily_stock !== null) {
+                const left = stockLeft.has(item.id) ? stockLeft.get(item.id) : item.stock_remaining;
+                if (left <= 0) {
+                    problems.push(`${item.name} is sold out for today.`);
+                    continue;
+                }
+                if (left < quantity) {
+                    problems.push(`Only ${left} ${item.name} left today (you had ${quantity}).`);
+                    quantity = left;
+                }
+                stockLeft.set(item.id, left - quantity);
+            }
+            if (unitPrice !== past.price) {
+                problems.push(`${item.name} now costs ₹${unitPrice} (was ₹${past.price}).`);
+            }
+
+            lines.push({
+                id: item.id,
+                name: item.name,
+                quantity,
+                options: options.map(option => option.id).sort((a, b) => a - b),
+                option_names: options.map(option => option.name),
+                price: unitPrice
+            });
+        }
+
+        if (!canteen.is_open) {
+            problems.push(`${canteen.name} is closed right now - you can review the cart but not order yet.`);
+        }
+
+        req.session.canteenId = canteen.id;
+        res.json({ canteen_id: canteen.id, lines, problems });
     } catch (err) {
-        console.error('Error adding menu item:', err);
-        res.status(500).send('Error adding item.');
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error rebuilding order:', err);
+        res.status(500).json({ error: 'Failed to rebuild order' });
     }
 });
 
-// --- UPDATED to use isStaff ---
-app.post('/staff/menu/toggle', isStaff, async (req, res) => {
-    const { id, current_status } = req.body;
-    // New status is the opposite of the current status
-    const newStatus = (current_status == 1) ? 0 : 1; 
+// API: add an item to / remove it from the student's favourites
+app.post('/api/student/favourites/:itemId', requirePermission('place_orders'), async (req, res) => {
     try {
-        const query = 'UPDATE menu_items SET is_available = $1 WHERE id = $2';
-        await db.query(query, [newStatus, id]);
-        res.redirect('/staff/manage-menu');
+        const itemResult = await db.query('SELECT id FROM menu_items WHERE id = $1 AND deleted_at IS NULL', [parseInt(req.params.itemId, 10) || 0]);
+        if (itemResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Menu item not found.' });
+        }
+        await db.query(
+            'INSERT INTO favourite_items (user_id, menu_item_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [req.session.user.id, itemResult.rows[0].id]
+        );
+        res.json({ is_favourite: true });
     } catch (err) {
-        console.error('Error toggling menu item:', err);
-        res.status(500).send('Error toggling item.');
+        console.error('Error adding favourite:', err);
+        res.status(500).json({ error: 'Failed to add favourite' });
     }
 });
 
-// =================================================================
-// --- NEW: USER MANAGEMENT ROUTES ---
-// =================================================================
-app.get('/staff/manage-users', isStaff, async (req, res) => {
-    const fullPath = path.join(__dirname, 'public', 'manage-users.html');
+app.delete('/api/student/favourites/:itemId', requirePermission('place_orders'), async (req, res) => {
     try {
-        // We don't want to show the staff's own password hash
-        const result = await db.query('SELECT id, username, role FROM users ORDER BY id');
-        let tableRows = '';
-        
-        result.rows.forEach(user => {
-            tableRows += `
-                <tr>
-                    <td>${user.id}</td>
-                    <td>${user.username}</td>
-                    <td>${user.role}</td>
-                    <td>
-                        ${ user.id === req.session.user.id ? '' : `
-                            <form action="/staff/user/delete" method="POST" style="display:inline;" onsubmit="return confirm('Are you sure you want to delete this user?');">
-                                <input type="hidden" name="userId" value="${user.id}">
-                                <button type="submit" class="btn btn-danger">Delete</button>
-                            </form>
-                        `}
-                    </td>
-                </tr>
-            `;
-        });
-        
-        fs.readFile(fullPath, 'utf8', (err, html) => {
-            if (err) throw err;
-            const finalHtml = html.replace('', tableRows);
-            res.send(finalHtml);
-        });
+        await db.query('DELETE FROM favourite_items WHERE user_id = $1 AND menu_item_id = $2', [req.session.user.id, parseInt(req.params.itemId, 10) || 0]);
+        res.json({ is_favourite: false });
     } catch (err) {
-        console.error('Error loading user management:', err);
-        res.status(500).send('Error loading page.');
+        console.error('Error removing favourite:', err);
+        res.status(500).json({ error: 'Failed to remove favourite' });
     }
 });
 
-app.post('/staff/user/delete', isStaff, async (req, res) => {
-    const { userId } = req.body;
-    
-    // Safety check: Don't let staff delete themselves
-    if (userId == req.session.user.id) {
-        return res.status(400).send("Cannot delete yourself.");
+// =================================================================
+// --- NEW: JSON API (v1) ---
+// =================================================================
+// A versioned JSON API under /api/v1 for mobile and third-party clients.
+// Requests authenticate with "Authorization: Bearer <token>" (from POST /api/v1/auth/token)
+// or with the browser session, and reuse the same helpers as the HTML routes.
+// Errors always look like { "error": { "code": "not_found", "message": "Order not found." } }
+// and lists are paginated as { "data": [...], "pagination": { page, per_page, total, total_pages } }.
+// The full description is in openapi.json, served at /api/v1/openapi.json.
+const API_TOKEN_DAYS = 30; // Tokens stop working after this many days
+const API_DEFAULT_PER_PAGE = 20;
+const API_MAX_PER_PAGE = 100;
+const API_ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    429: 'too_many_requests'
+};
+const OPEN_ORDER_STATUSES = ['Pending', 'Preparing', 'Ready'];
+
+const apiRouter = express.Router();
+
+// Helper: Express 4 doesn't catch rejected promises, so hand them to the error handler
+const apiRoute = (handler) => (req, res, next) => handler(req, res, next).catch(next);
+
+// Middleware: find who is calling, from a bearer token or the session, and check the permission.
+// Like requirePermission, the account is re-read every time. Sets req.apiUser.
+const apiAuth = (permission) => apiRoute(async (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    let userId;
+    if (header.startsWith('Bearer ')) {
+        const result = await db.query(`
+            UPDATE api_tokens SET last_used_at = NOW()
+            WHERE token_hash = $1 AND expires_at > NOW()
+            RETURNING id, user_id
+        `, [hashToken(header.slice('Bearer '.length).trim())]);
+        if (result.rows.length === 0) {
+            throw httpError(401, 'Invalid or expired API token.');
+        }
+        req.apiTokenId = result.rows[0].id;
+        userId = result.rows[0].user_id;
+    } else if (req.session.user) {
+        userId = req.session.user.id;
+    } else {
+        throw httpError(401, 'Send an API token as "Authorization: Bearer <token>", or log in.');
     }
-    
-    // IMPORTANT: In a real app, you must delete all orders from this user first
-    // or the database will throw an error.
+
+    const result = await db.query(
+        'SELECT id, username, role, canteen_id, email, wallet_balance, disabled_at, session_version FROM users WHERE id = $1',
+        [userId]
+    );
+    const account = result.rows[0];
+    const staleSession = !req.apiTokenId && account && account.session_version !== (req.session.user.sessionVersion ?? 0);
+    if (!account || staleSession) {
+        throw httpError(401, 'Your login has expired. Please log in again.');
+    }
+    if (account.disabled_at) {
+        throw httpError(403, 'This account has been disabled. Please contact the canteen.');
+    }
+    if (permission && !hasPermission(account, permission)) {
+        throw httpError(403, "Your account isn't allowed to do that.");
+    }
+    req.apiUser = account;
+    next();
+});
+
+// Helper: a positive integer id from the URL or body, or a 404 for the thing it names
+function readApiId(value, what) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw httpError(404, `${what} not found.`);
+    }
+    return id;
+}
+
+// Helper: the canteen_id a cart or order is for
+function readCanteenId(body) {
+    if (!Number.isInteger(body.canteen_id)) {
+        throw httpError(400, 'canteen_id is required.');
+    }
+    return body.canteen_id;
+}
+
+// Helper: ?page= and ?per_page= from the query string
+function readPagination(query) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const perPage = query.per_page === undefined ? API_DEFAULT_PER_PAGE : Number(query.per_page);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(perPage) || perPage < 1 || perPage > API_MAX_PER_PAGE) {
+        throw httpError(400, `page must be 1 or more and per_page between 1 and ${API_MAX_PER_PAGE}.`);
+    }
+    return { page, perPage, offset: (page - 1) * perPage };
+}
+
+function paginated(rows, total, { page, perPage }) {
+    return { data: rows, pagination: { page, per_page: perPage, total, total_pages: Math.ceil(total / perPage) } };
+}
+
+// --- Auth ---
+
+// Swap a username and password for a bearer token. The token is only shown this once.
+apiRouter.post('/auth/token', apiRoute(async (req, res) => {
+    const { username, password } = req.body;
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        throw httpError(400, 'username and password are required.');
+    }
+    const user = await checkCredentials(req.ip, username, password, ROLES);
+    const name = typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 100) || null : null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const result = await db.query(`
+        INSERT INTO api_tokens (user_id, token_hash, name, expires_at)
+        VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+        RETURNING expires_at
+    `, [user.id, hashToken(token), name, API_TOKEN_DAYS]);
+
+    res.status(201).json({
+        token,
+        token_type: 'Bearer',
+        expires_at: result.rows[0].expires_at,
+        user: { id: user.id, username: user.username, role: user.role, canteen_id: user.canteen_id }
+    });
+}));
+
+// Revoke the token this request was made with
+apiRouter.delete('/auth/token', apiAuth(null), apiRoute(async (req, res) => {
+    if (!req.apiTokenId) {
+        throw httpError(400, 'This request was not made with an API token.');
+    }
+    await db.query('DELETE FROM api_tokens WHERE id = $1', [req.apiTokenId]);
+    res.status(204).end();
+}));
+
+apiRouter.get('/me', apiAuth(null), apiRoute(async (req, res) => {
+    const { id, username, role, canteen_id, email, wallet_balance } = req.apiUser;
+    res.json({ data: { id, username, role, canteen_id, email, wallet_balance, permissions: ROLE_PERMISSIONS[role] } });
+}));
+
+// --- Menu browsing ---
+
+apiRouter.get('/canteens', apiRoute(async (req, res) => {
+    res.json({ data: await listCanteens() });
+}));
+
+// What a canteen is serving right now, with each item's options and today's pickup slots
+apiRouter.get('/canteens/:id/menu', apiAuth(null), apiRoute(async (req, res) => {
+    const canteen = await getCanteen(readApiId(req.params.id, 'Canteen'));
+    if (!canteen) {
+        throw httpError(404, 'Canteen not found.');
+    }
+    const items = await getServedMenu(canteen.id, req.apiUser.id);
+    const [modifierGroups, slots] = await Promise.all([
+        getModifierGroups(db, items.map(item => item.id)),
+        getTodaySlots(canteen.id)
+    ]);
+    res.json({
+        canteen: { id: canteen.id, name: canteen.name, location: canteen.location, is_open: canteen.is_open },
+        data: items.map(item => ({
+            id: item.id,
+            name: item.name,
+            description: item.description,
+            price: item.price,
+            category: item.category_name,
+            tags: item.tags,
+            image_url: item.image_url,
+            stock_remaining: item.daily_stock === null ? null : item.stock_remaining,
+            rating: { average: item.average_rating, count: item.rating_count },
+            is_favourite: item.is_favourite,
+            modifier_groups: (modifierGroups.get(item.id) || []).map(({ menu_item_id, ...group }) => group)
+        })),
+        // What POST /orders accepts as payment_method right now
+        payment_methods: hasOnlinePayments() ? ['online', 'counter', 'wallet'] : ['counter', 'wallet'],
+        pickup_slots: slots.map(slot => ({
+            id: slot.id,
+            label: formatSlot(slot.start_time, slot.end_time),
+            start_time: slot.start_time,
+            end_time: slot.end_time,
+            is_full: slot.is_full
+        }))
+    });
+}));
+
+// --- Student ordering ---
+
+// Price a cart (with its combos and coupon_code, if given) and check it can be ordered,
+// without placing the order. Runs the same checks as placing it, then rolls back the stock it reserved.
+apiRouter.post('/cart/validate', apiAuth('place_orders'), apiRoute(async (req, res) => {
+    const canteen = await getOpenCanteen(readCanteenId(req.body));
+    const cart = parseCart(req.body.items);
+    const couponCode = parseCouponCode(req.body.coupon_code);
     const client = await db.connect();
     try {
         await client.query('BEGIN');
-        // Delete orders associated with the user
-        await client.query('DELETE FROM orders WHERE user_id = $1', [userId]);
-        // Now delete the user
-        await client.query('DELETE FROM users WHERE id = $1', [userId]);
-        await client.query('COMMIT');
-        
-        res.redirect('/staff/manage-users');
-    } catch (err) {
-        await client.query('ROLLBACK');
-        console.error('Error deleting user and their orders:', err);
-        res.status(500).send('Error deleting user. Make sure all their orders are removed first.');
+        const { lines, totalPrice: subtotalPrice } = await reserveOrderLines(client, cart, canteen.id);
+        const adjustments = await applyPromotions(client, { lines, subtotalPrice, canteenId: canteen.id, userId: req.apiUser.id, couponCode });
+        const discountTotal = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+        res.json({
+            data: {
+                canteen_id: canteen.id,
+                items: lines,
+                subtotal_price: subtotalPrice,
+                adjustments: adjustments.map(({ lineIndex, label, amount }) => ({ line_index: lineIndex, label, amount })),
+                discount_total: discountTotal,
+                total_price: subtotalPrice - discountTotal
+            }
+        });
     } finally {
+        await client.query('ROLLBACK');
         client.release();
     }
+}));
+
+apiRouter.post('/orders', apiAuth('place_orders'), apiRoute(async (req, res) => {
+    const paymentMethod = req.body.payment_method || 'online';
+    if (!['online', 'counter', 'wallet'].includes(paymentMethod)) {
+        throw httpError(400, 'payment_method must be online, counter or wallet.');
+    }
+    // A pickup slot id from the canteen's menu, or null for as soon as possible
+    const slotId = req.body.pickup_slot_id ?? null;
+    if (slotId !== null && !Number.isInteger(slotId)) {
+        throw httpError(400, 'Invalid pickup slot.');
+    }
+    const order = await placeOrder({
+        userId: req.apiUser.id,
+        canteenId: readCanteenId(req.body),
+        cart: parseCart(req.body.items),
+        paymentMethod,
+        slotId,
+        couponCode: parseCouponCode(req.body.coupon_code)
+    });
+
+    // Online orders come back with the provider's checkout page for the student to open.
+    // If starting the checkout fails the order stays unpaid; POST /student/orders/:id/pay retries it.
+    let checkoutUrl = null;
+    if (needsOnlinePayment(order)) {
+        try {
+            checkoutUrl = new URL(await startCheckout(order), publicUrl(req)).href;
+        } catch (err) {
+            console.error('Error starting payment:', err);
+        }
+    }
+    res.status(201).json({ data: order, checkout_url: checkoutUrl });
+}));
+
+// Your orders, newest first, as far back as they go
+apiRouter.get('/orders', apiAuth('place_orders'), apiRoute(async (req, res) => {
+    const pagination = readPagination(req.query);
+    const [result, countResult] = await Promise.all([
+        db.query(`
+            SELECT o.*, c.name AS canteen_name
+            FROM orders o
+            JOIN canteens c ON c.id = o.canteen_id
+            WHERE o.user_id = $1
+            ORDER BY o.created_at DESC, o.id DESC
+            LIMIT $2 OFFSET $3
+        `, [req.apiUser.id, pagination.perPage, pagination.offset]),
+        db.query('SELECT COUNT(*)::int AS total FROM orders WHERE user_id = $1', [req.apiUser.id])
+    ]);
+    res.json(paginated(result.rows, countResult.rows[0].total, pagination));
+}));
+
+apiRouter.get('/orders/:id', apiAuth('place_orders'), apiRoute(async (req, res) => {
+    const result = await db.query(`
+        SELECT o.*, c.name AS canteen_name, ${ORDER_HISTORY_SQL}, ${ORDER_ADJUSTMENTS_SQL}
+        FROM orders o
+        JOIN canteens c ON c.id = o.canteen_id
+        WHERE o.id = $1 AND o.user_id = $2
+    `, [readApiId(req.params.id, 'Order'), req.apiUser.id]);
+    if (result.rows.length === 0) {
+        throw httpError(404, 'Order not found.');
+    }
+    res.json({ data: await withQueueInfo(result.rows[0]) });
+}));
+
+apiRouter.post('/orders/:id/cancel', apiAuth('place_orders'), apiRoute(async (req, res) => {
+    res.json({ data: await cancelStudentOrder(readApiId(req.params.id, 'Order'), req.apiUser.id) });
+}));
+
+// --- Staff ---
+
+// The staff member's canteen's orders. ?status= takes one or more statuses
+// separated by commas, and defaults to the open ones (Pending, Preparing, Ready).
+apiRouter.get('/staff/orders', apiAuth('manage_orders'), apiRoute(async (req, res) => {
+    const pagination = readPagination(req.query);
+    const statuses = req.query.status ? String(req.query.status).split(',') : OPEN_ORDER_STATUSES;
+    if (!statuses.every(status => ORDER_TRANSITIONS[status])) {
+        throw httpError(400, `status must be one or more of ${Object.keys(ORDER_TRANSITIONS).join(', ')}.`);
+    }
+    const canteenId = req.apiUser.canteen_id;
+    const [result, countResult] = await Promise.all([
+        db.query(`
+            SELECT o.*, u.username, ${ORDER_HISTORY_SQL}
+            FROM orders o
+            JOIN users u ON u.id = o.user_id
+            WHERE o.canteen_id = $1 AND o.status = ANY($2)
+            ORDER BY o.created_at DESC, o.id DESC
+            LIMIT $3 OFFSET $4
+        `, [canteenId, statuses, pagination.perPage, pagination.offset]),
+        db.query('SELECT COUNT(*)::int AS total FROM orders WHERE canteen_id = $1 AND status = ANY($2)', [canteenId, statuses])
+    ]);
+    res.json(paginated(result.rows, countResult.rows[0].total, pagination));
+}));
+
+// Move an order on. Rejecting needs a reason, which the student is shown.
+apiRouter.post('/staff/orders/:id/status', apiAuth('manage_orders'), apiRoute(async (req, res) => {
+    const { status } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!ORDER_TRANSITIONS[status]) {
+        throw httpError(400, `status must be one of ${Object.keys(ORDER_TRANSITIONS).join(', ')}.`);
+    }
+    if (status === 'Rejected' && !reason) {
+        throw httpError(400, 'Please give a reason for rejecting the order.');
+    }
+    const order = await staffChangeOrderStatus({
+        orderId: readApiId(req.params.id, 'Order'),
+        newStatus: status,
+        staffId: req.apiUser.id,
+        canteenId: req.apiUser.canteen_id,
+        note: reason || null,
+        baseUrl: publicUrl(req)
+    });
+    res.json({ data: order });
+}));
+
+apiRouter.get('/staff/menu', apiAuth('manage_menu'), apiRoute(async (req, res) => {
+    const result = await db.query(`
+        SELECT m.*, c.name AS category_name
+        FROM menu_items m
+        LEFT JOIN menu_categories c ON c.id = m.category_id
+        WHERE m.canteen_id = $1 AND m.deleted_at IS NULL
+        ORDER BY c.sort_order NULLS LAST, c.name NULLS LAST, m.name
+    `, [req.apiUser.canteen_id]);
+    res.json({ data: result.rows });
+}));
+
+// Switch an item on or off and/or set its daily stock (null = unlimited, which also restocks it)
+apiRouter.patch('/staff/menu/:id', apiAuth('manage_menu'), apiRoute(async (req, res) => {
+    const itemId = readApiId(req.params.id, 'Menu item');
+    const canteenId = req.apiUser.canteen_id;
+    const { is_available: isAvailable, daily_stock: dailyStock } = req.body;
+    if (isAvailable !== undefined && typeof isAvailable !== 'boolean') {
+        throw httpError(400, 'is_available must be true or false.');
+    }
+    if (dailyStock !== undefined && dailyStock !== null && !(Number.isInteger(dailyStock) && dailyStock >= 0)) {
+        throw httpError(400, 'daily_stock must be a whole number of 0 or more, or null for unlimited.');
+    }
+
+    const existing = await db.query('SELECT id FROM menu_items WHERE id = $1 AND canteen_id = $2 AND deleted_at IS NULL', [itemId, canteenId]);
+    if (existing.rows.length === 0) {
+        throw httpError(404, 'Menu item not found.');
+    }
+    if (dailyStock !== undefined) {
+        await setMenuItemStock(itemId, canteenId, dailyStock);
+    }
+    if (isAvailable !== undefined) {
+        await db.query('UPDATE menu_items SET is_available = $1, sold_out_at = NULL WHERE id = $2 AND canteen_id = $3', [isAvailable ? 1 : 0, itemId, canteenId]);
+    }
+    const result = await db.query('SELECT * FROM menu_items WHERE id = $1', [itemId]);
+    res.json({ data: result.rows[0] });
+}));
+
+apiRouter.get('/openapi.json', (req, res) => {
+    res.sendFile(path.join(__dirname, 'openapi.json'));
+});
+
+apiRouter.use((req, res) => {
+    res.status(404).json({ error: { code: 'not_found', message: `No API endpoint ${req.method} ${req.baseUrl}${req.path}.` } });
 });
 
+app.use('/api/v1', apiRouter);
+
+// Every API error, including bad JSON bodies rejected by express.json(), as { error: { code, message } }
+app.use('/api/v1', (err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) {
+        console.error('API error:', err);
+        return res.status(500).json({ error: { code: 'internal_error', message: 'Something went wrong. Please try again.' } });
+    }
+    const message = err.type === 'entity.parse.failed' ? 'The request body is not valid JSON.' : err.message;
+    res.status(status).json({ error: { code: API_ERROR_CODES[status] || 'error', message } });
+});
 
 // =================================================================
 // --- SOCKET.IO LOGIC ---
 // =================================================================
+// Refuse sockets without a logged-in session
+// (the /display namespace has its own device-key check)
+io.use((socket, next) => {
+    const { session: socketSession } = socket.request;
+    if (!socketSession || !socketSession.user) {
+        return next(new Error('Not logged in'));
+    }
+    next();
+});
+
 io.on('connection', (socket) => {
-    console.log('A user connected:', socket.id);
+    const user = socket.request.session.user;
+    console.log(`User ${user.username} connected:`, socket.id);
+
+    // Every socket gets its own user's room; staff also get their canteen's new-order feed
+    socket.join(`user_${user.id}`);
+    if (hasPermission(user, 'manage_orders')) {
+        socket.join(staffRoom(user.canteenId));
+    }
 
-    // Join a room based on user ID (for "My Orders")
+    // Join a room based on user ID (for "My Orders") - only your own
     socket.on('join_user_room', (userId) => {
-        socket.join(`user_${userId}`);
-        console.log(`User ${socket.id} joined room user_${userId}`);
+        if (Number(userId) !== user.id) {
+            return console.warn(`User ${user.username} tried to join room user_${userId}`);
+        }
+        socket.join(`user_${user.id}`);
     });
 
-    // Join a room based on order ID (for "Token Page")
-    socket.on('join_token_room', (orderId) => {
-        socket.join(`order_${orderId}`);
-        console.log(`User ${socket.id} joined room order_${orderId}`);
+    // Join a room based on order ID (for "Token Page") - only your own order, unless staff at its canteen
+    socket.on('join_token_room', async (orderId) => {
+        try {
+            const result = await db.query('SELECT user_id, canteen_id FROM orders WHERE id = $1', [orderId]);
+            const order = result.rows[0];
+            const isOrderStaff = order && hasPermission(user, 'manage_orders') && order.canteen_id === user.canteenId;
+            if (!order || (order.user_id !== user.id && !isOrderStaff)) {
+                return console.warn(`User ${user.username} tried to join room order_${orderId}`);
+            }
+            socket.join(`order_${orderId}`);
+            console.log(`User ${socket.id} joined room order_${orderId}`);
+        } catch (err) {
+            console.error('Error joining token room:', err);
+        }
     });
 
     socket.on('disconnect', () => {
@@ -637,18 +4877,27 @@ cron.schedule('0 1 * * *', async () => {
     console.log('🧹 Running daily cleanup at 1 AM...');
     const client = await db.connect();
     try {
-        // 1. Deletes old, incomplete orders
-        await client.query("DELETE FROM orders WHERE status != 'Completed'");
-        
-        // 2. Deletes old, completed orders
-        await client.query("DELETE FROM orders WHERE status = 'Completed' AND created_at < NOW() - INTERVAL '23 hours'");
-        
-        // 3. THIS IS THE TOKEN RESET
-        // This command resets the 'id' counter (sequence) of the 'orders' table
-        // Note: The sequence name 'orders_id_seq' is the default for a SERIAL column.
-        await client.query('ALTER SEQUENCE orders_id_seq RESTART WITH 1');
-        
-        console.log('✅ Cleanup complete. Token counter reset to 1.');
+        // 1. Archive finished orders from previous days. Nothing is deleted, so order
+        // history and reports keep working; archived orders just leave the queue.
+        // Orders still in progress stay on the queue until staff close them.
+        await client.query(`
+            UPDATE orders SET archived_at = NOW()
+            WHERE archived_at IS NULL AND token_date < (NOW() AT TIME ZONE $1)::date
+              AND status IN ('Completed', 'Cancelled', 'Rejected')
+        `, [CANTEEN_TIMEZONE]);
+
+        // 2. Drop old token counters (tokens restart at 1 on their own each day)
+        await client.query('DELETE FROM daily_token_counters WHERE token_date < (NOW() AT TIME ZONE $1)::date', [CANTEEN_TIMEZONE]);
+
+        // 3. Restock items with a daily stock (and bring back the ones that sold out,
+        // but not ones staff switched off themselves)
+        await client.query('UPDATE menu_items SET is_available = 1, sold_out_at = NULL WHERE sold_out_at IS NOT NULL AND daily_stock > 0');
+        await client.query('UPDATE menu_items SET stock_remaining = daily_stock WHERE daily_stock IS NOT NULL');
+
+        // 4. Forget notification deliveries that finished over a month ago
+        await client.query("DELETE FROM notification_outbox WHERE status <> 'pending' AND created_at < NOW() - INTERVAL '30 days'");
+
+        console.log('✅ Cleanup complete. Old orders archived and stock refilled.');
     } catch (err) {
         console.error('Error during daily cleanup:', err);
     } finally {
@@ -656,12 +4905,15 @@ cron.schedule('0 1 * * *', async () => {
     }
 }, {
     scheduled: true,
-    timezone: "Asia/Kolkata"
+    timezone: CANTEEN_TIMEZONE
 });
 
 // =================================================================
 // --- START SERVER ---
 // =================================================================
-server.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
+// Requests are only taken once migrations (and the demo seed) have finished
+initializeDatabase().then(() => {
+    server.listen(PORT, () => {
+        console.log(`🚀 Server running on http://localhost:${PORT}`);
+    });
 });
\ No newline at end of file
@@ -0,0 +1,86 @@
+// =================================================================
+// --- VIEWS: HTML TEMPLATES, ESCAPED BY DEFAULT ---
+// =================================================================
+// Pages live in views/ as plain HTML with named placeholders:
+//
+//   {{ name }}        the value called "name", HTML-escaped
+//   {{> partial }}    views/partials/partial.html, filled in with the same values
+//
+// Values are escaped unless they were built with html`...` or wrapped in raw(), so a
+// username or item name always shows up as text, never as markup. html`...` is a tagged
+// template for building fragments in code: everything interpolated into it is escaped
+// the same way (arrays are joined, null and undefined leave nothing). A page can be
+// rendered inside a layout from views/layouts/, which places the page at {{ body }}.
+const fs = require('fs');
+const path = require('path');
+
+const VIEWS_DIR = path.join(__dirname, 'views');
+// Templates are read once in production; elsewhere edits show up without a restart
+const CACHE_TEMPLATES = process.env.NODE_ENV === 'production';
+const PLACEHOLDER = /\{\{\s*(>\s*)?([\w-]+)\s*\}\}/g;
+
+const templateCache = new Map();
+
+// Markup that is already safe to output as it is
+class SafeHtml {
+    constructor(text) {
+        this.text = text;
+    }
+
+    toString() {
+        return this.text;
+    }
+}
+
+function raw(text) {
+    return new SafeHtml(String(text));
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// How one value is written into a page
+function toHtml(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof SafeHtml) return value.text;
+    if (Array.isArray(value)) return value.map(toHtml).join('');
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((result, string, index) => result + toHtml(values[index - 1]) + string));
+}
+
+function loadTemplate(name) {
+    if (templateCache.has(name)) return templateCache.get(name);
+    const template = fs.readFileSync(path.join(VIEWS_DIR, `${name}.html`), 'utf8');
+    if (CACHE_TEMPLATES) templateCache.set(name, template);
+    return template;
+}
+
+function fill(name, values) {
+    // A function replacement, so "$&" and friends in a value are left alone
+    return loadTemplate(name).replace(PLACEHOLDER, (match, isPartial, key) => {
+        if (isPartial) {
+            return fill(`partials/${key}`, values);
+        }
+        if (!Object.prototype.hasOwnProperty.call(values, key)) {
+            throw new Error(`View ${name} needs a value for {{ ${key} }}.`);
+        }
+        return toHtml(values[key]);
+    });
+}
+
+// Render views/<view>.html, inside views/layouts/<layout>.html if one is given
+function render(view, values = {}, { layout = null } = {}) {
+    const body = fill(view, values);
+    return layout ? fill(`layouts/${layout}`, { ...values, body: raw(body) }) : body;
+}
+
+module.exports = { render, html, raw, escapeHtml, SafeHtml };